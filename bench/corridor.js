@@ -0,0 +1,138 @@
+// Benchmark: corridor tiles vs the former 12 coarse bboxes, on long routes.
+// Talks to the configured upstreams (UPSTREAM_MODE=replay works on recorded fixtures).
+//
+//   npm run bench               # query area, data downloaded and wall-clock time
+//   npm run bench -- --offline  # query area only, no Overpass call
+
+const {
+  getRoute,
+  computeCorridorTiles,
+  batchTiles,
+  buildOverpassQuery,
+  fetchUpstream,
+  haversineMeters,
+  RING_TYPES,
+  POINT_TYPES
+} = require('../server');
+
+const OFFLINE = process.argv.includes('--offline');
+
+const ROUTES = [
+  { name: 'Beauvais → Arbon', points: [{ lat: 49.4295, lon: 2.0807 }, { lat: 47.5167, lon: 9.4333 }] },
+  { name: 'Lille → Saint-Gaudens', points: [{ lat: 50.6292, lon: 3.0573 }, { lat: 43.1081, lon: 0.7234 }] },
+  { name: 'Brest → Strasbourg', points: [{ lat: 48.3904, lon: -4.4861 }, { lat: 48.5734, lon: 7.7521 }] },
+  { name: 'Bordeaux → Nice', points: [{ lat: 44.8378, lon: -0.5792 }, { lat: 43.7102, lon: 7.2620 }] }
+];
+
+// --- Former approach: 12 bboxes with a ~300 m buffer, in a single query ---
+
+function legacyBboxes(coords, maxSegments = 12) {
+  const segmentSize = Math.max(1, Math.ceil(coords.length / maxSegments));
+  const bboxes = [];
+  const buffer = 0.003;
+  for (let i = 0; i < coords.length; i += segmentSize) {
+    const segment = coords.slice(i, i + segmentSize + 1);
+    const lats = segment.map(([, lat]) => lat);
+    const lons = segment.map(([lon]) => lon);
+    bboxes.push({
+      s: Math.min(...lats) - buffer,
+      n: Math.max(...lats) + buffer,
+      w: Math.min(...lons) - buffer,
+      e: Math.max(...lons) + buffer
+    });
+  }
+  return bboxes;
+}
+
+// Same types as the corridor query (rings and point features), so that both download the same kind of data
+function legacyQuery(bboxes) {
+  const filters = bboxes.map(b =>
+    `  way["junction"~"^(${RING_TYPES.join('|')})$"](${b.s},${b.w},${b.n},${b.e});\n` +
+    `  node["highway"~"^(${POINT_TYPES.join('|')})$"](${b.s},${b.w},${b.n},${b.e});`
+  ).join('\n');
+  return `[out:json][timeout:90][maxsize:10485760];\n(\n${filters}\n);\nout body;\n>;\nout skel qt;`;
+}
+
+// --- Measures ---
+
+function bboxAreaKm2(b) {
+  const height = (b.n - b.s) * 110.54;
+  const width = (b.e - b.w) * 111.32 * Math.cos(((b.s + b.n) / 2) * Math.PI / 180);
+  return height * width;
+}
+
+// A corridor tile is a buffer of `radius` around its polyline
+function tileAreaKm2(tile) {
+  let length = 0;
+  for (let i = 1; i < tile.points.length; i++) {
+    const [lon1, lat1] = tile.points[i - 1];
+    const [lon2, lat2] = tile.points[i];
+    length += haversineMeters(lat1, lon1, lat2, lon2);
+  }
+  return (length * 2 * tile.radius + Math.PI * tile.radius ** 2) / 1e6;
+}
+
+async function runQueries(queries) {
+  let bytes = 0, elements = 0, ms = 0;
+  for (const query of queries) {
+    const start = Date.now();
+    const res = await fetchUpstream('overpass', '/interpreter', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: `data=${encodeURIComponent(query)}`
+    });
+    ms += Date.now() - start;
+    if (!res.ok) throw new Error(`Overpass API HTTP ${res.status}`);
+    bytes += Buffer.byteLength(res.text);
+    elements += JSON.parse(res.text).elements.length;
+    await new Promise(resolve => setTimeout(resolve, 2000)); // be polite between queries
+  }
+  return { bytes, elements, ms };
+}
+
+async function main() {
+  const rows = [];
+  for (const { name, points } of ROUTES) {
+    const route = await getRoute(points);
+    const coords = route.geometry.coordinates;
+
+    const bboxes = legacyBboxes(coords);
+    const tiles = computeCorridorTiles(coords);
+    const legacy = { queries: [legacyQuery(bboxes)], area: bboxes.reduce((sum, b) => sum + bboxAreaKm2(b), 0) };
+    const corridor = {
+      queries: batchTiles(tiles).map(buildOverpassQuery),
+      area: tiles.reduce((sum, tile) => sum + tileAreaKm2(tile), 0)
+    };
+
+    for (const [approach, plan] of [['12 bboxes', legacy], ['corridor', corridor]]) {
+      const row = {
+        route: name,
+        km: Math.round(route.distance / 1000),
+        approach,
+        queries: plan.queries.length,
+        'area km²': Math.round(plan.area)
+      };
+      if (!OFFLINE) {
+        const { bytes, elements, ms } = await runQueries(plan.queries);
+        Object.assign(row, { 'KB downloaded': Math.round(bytes / 1024), elements, 'time s': +(ms / 1000).toFixed(1) });
+      }
+      rows.push(row);
+    }
+  }
+  console.table(rows);
+
+  // Totals over every route, and what the corridor saves compared to the bboxes
+  const total = (approach, column) => rows.filter(row => row.approach === approach).reduce((sum, row) => sum + row[column], 0);
+  const columns = ['area km²', ...(OFFLINE ? [] : ['KB downloaded', 'time s'])];
+  for (const column of columns) {
+    const legacy = total('12 bboxes', column);
+    const corridor = total('corridor', column);
+    const saved = legacy ? Math.round((1 - corridor / legacy) * 100) : 0;
+    console.log(`${column}: ${+legacy.toFixed(1)} with 12 bboxes, ${+corridor.toFixed(1)} with the corridor (${saved} % less)`);
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
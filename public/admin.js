@@ -0,0 +1,172 @@
+// ===== Admin: results and pseudos moderation =====
+// The admin token stays in sessionStorage, sent as "Authorization: Bearer <token>"
+const adminState = { q: '', page: 1 };
+
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+function showToast(msg, duration = 4000) {
+  const existing = document.querySelector('.toast');
+  if (existing) existing.remove();
+  const toast = document.createElement('div');
+  toast.className = 'toast';
+  toast.textContent = msg;
+  document.body.appendChild(toast);
+  setTimeout(() => toast.remove(), duration);
+}
+
+// ===== API Calls =====
+async function adminFetch(url, { method = 'GET', body } = {}) {
+  const headers = { Authorization: `Bearer ${sessionStorage.getItem('gc_admin') || ''}` };
+  if (body) headers['Content-Type'] = 'application/json';
+  const res = await fetch(url, { method, headers, body: body && JSON.stringify(body) });
+  const data = await res.json();
+  if (res.status === 401) {
+    sessionStorage.removeItem('gc_admin');
+    document.getElementById('admin-panel').classList.add('hidden');
+  }
+  if (!res.ok) throw new Error(data.error || 'Erreur serveur');
+  return data;
+}
+
+// Recounts run as jobs: poll until they end
+async function waitJob(jobId) {
+  for (;;) {
+    await new Promise(resolve => setTimeout(resolve, 2000));
+    const job = await adminFetch(`/api/challenge/${jobId}`);
+    if (job.status === 'done') return job.result;
+    if (job.status !== 'running') throw new Error(job.error || 'Erreur serveur');
+  }
+}
+
+// ===== Results =====
+function formatRoute(entry) {
+  return [entry.villeDepart, ...(entry.etapes || []), entry.villeArrivee].join(' → ');
+}
+
+async function loadEntries() {
+  const params = new URLSearchParams(adminState);
+  const data = await adminFetch(`/api/admin/entries?${params}`);
+  const tbody = document.getElementById('admin-entries');
+  tbody.innerHTML = '';
+  data.entries.forEach(entry => {
+    const row = document.createElement('tr');
+    if (entry.banni) row.className = 'admin-banned';
+    row.innerHTML = `
+      <td>${new Date(entry.date).toLocaleString('fr-FR')}</td>
+      <td>${escapeHtml(entry.pseudo)}</td>
+      <td>${escapeHtml(formatRoute(entry))}${entry.complet === false ? ' ⚠' : ''}</td>
+      <td>${entry.score ?? entry.nbRondPoints}</td>
+      <td>${entry.distanceKm}</td>
+      <td class="admin-actions">
+        <button class="board-tab" data-action="edit" title="Renommer">✏️</button>
+        <button class="board-tab" data-action="recount" title="Recompter">🔄</button>
+        <button class="board-tab" data-action="ban" title="Bannir le pseudo">🚫</button>
+        <button class="board-tab" data-action="delete" title="Supprimer">🗑️</button>
+      </td>
+    `;
+    row.querySelector('.admin-actions').addEventListener('click', e => {
+      const action = e.target.closest('button')?.dataset.action;
+      if (action) runAction(action, entry, e.target.closest('button')).catch(err => showToast(err.message));
+    });
+    tbody.appendChild(row);
+  });
+  document.getElementById('admin-page').textContent = `${data.page} / ${data.pages}`;
+  document.getElementById('btn-admin-prev').disabled = data.page <= 1;
+  document.getElementById('btn-admin-next').disabled = data.page >= data.pages;
+}
+
+async function runAction(action, entry, button) {
+  if (action === 'edit') {
+    const pseudo = window.prompt('Nouveau pseudo :', entry.pseudo);
+    if (!pseudo) return;
+    await adminFetch(`/api/admin/entries/${entry.id}`, { method: 'PATCH', body: { pseudo } });
+  } else if (action === 'delete') {
+    if (!window.confirm(`Supprimer ${entry.pseudo} : ${formatRoute(entry)} ?`)) return;
+    await adminFetch(`/api/admin/entries/${entry.id}`, { method: 'DELETE' });
+  } else if (action === 'ban') {
+    if (!window.confirm(`Bannir le pseudo ${entry.pseudo} ?`)) return;
+    await adminFetch('/api/admin/bans', { method: 'POST', body: { pseudo: entry.pseudo } });
+    await loadBans();
+  } else if (action === 'recount') {
+    button.disabled = true;
+    const job = await adminFetch(`/api/admin/entries/${entry.id}/recount`, { method: 'POST' });
+    const { avant, apres } = await waitJob(job.id);
+    showToast(`Recompté : ${avant.score} → ${apres.score} points${apres.complet ? '' : ' (incomplet)'}`);
+  }
+  await loadEntries();
+}
+
+// ===== Bans =====
+async function loadBans() {
+  const { bans, blocklist } = await adminFetch('/api/admin/bans');
+  const list = document.getElementById('admin-bans');
+  list.innerHTML = '';
+  bans.forEach(ban => {
+    const li = document.createElement('li');
+    li.innerHTML = `<span>${escapeHtml(ban.pseudo)}</span><button class="board-tab" title="Lever le ban">✕</button>`;
+    li.querySelector('button').addEventListener('click', async () => {
+      try {
+        await adminFetch(`/api/admin/bans/${encodeURIComponent(ban.pseudo)}`, { method: 'DELETE' });
+        await loadBans();
+        await loadEntries();
+      } catch (err) {
+        showToast(err.message);
+      }
+    });
+    list.appendChild(li);
+  });
+  document.getElementById('admin-blocklist').textContent =
+    `${blocklist} mot${blocklist > 1 ? 's' : ''} interdit${blocklist > 1 ? 's' : ''} (PSEUDO_BLOCKLIST)`;
+}
+
+// ===== Event Handlers =====
+async function openPanel() {
+  try {
+    await loadEntries();
+    await loadBans();
+    document.getElementById('admin-panel').classList.remove('hidden');
+  } catch (err) {
+    showToast(err.message);
+  }
+}
+
+document.getElementById('admin-login').addEventListener('submit', e => {
+  e.preventDefault();
+  sessionStorage.setItem('gc_admin', document.getElementById('admin-token').value);
+  openPanel();
+});
+
+document.getElementById('admin-search').addEventListener('submit', e => {
+  e.preventDefault();
+  adminState.q = document.getElementById('admin-q').value.trim();
+  adminState.page = 1;
+  loadEntries().catch(err => showToast(err.message));
+});
+
+document.getElementById('btn-admin-prev').addEventListener('click', () => {
+  adminState.page--;
+  loadEntries().catch(err => showToast(err.message));
+});
+document.getElementById('btn-admin-next').addEventListener('click', () => {
+  adminState.page++;
+  loadEntries().catch(err => showToast(err.message));
+});
+
+document.getElementById('admin-ban').addEventListener('submit', async e => {
+  e.preventDefault();
+  const input = document.getElementById('admin-ban-pseudo');
+  try {
+    await adminFetch('/api/admin/bans', { method: 'POST', body: { pseudo: input.value.trim() } });
+    input.value = '';
+    await loadBans();
+    await loadEntries();
+  } catch (err) {
+    showToast(err.message);
+  }
+});
+
+if (sessionStorage.getItem('gc_admin')) openPanel();
@@ -3,7 +3,10 @@ const screens = {
   title: document.getElementById('screen-title'),
   game: document.getElementById('screen-game'),
   result: document.getElementById('screen-result'),
-  leaderboard: document.getElementById('screen-leaderboard')
+  leaderboard: document.getElementById('screen-leaderboard'),
+  daily: document.getElementById('screen-daily'),
+  stats: document.getElementById('screen-stats'),
+  profile: document.getElementById('screen-profile')
 };
 
 const btnStart = document.getElementById('btn-start');
@@ -12,13 +15,38 @@ const btnBackTitle = document.getElementById('btn-back-title');
 const btnRetry = document.getElementById('btn-retry');
 const btnToScores = document.getElementById('btn-to-scores');
 const btnBackFromScores = document.getElementById('btn-back-from-scores');
+const btnDaily = document.getElementById('btn-daily');
+const btnDailyPlay = document.getElementById('btn-daily-play');
+const btnBackFromDaily = document.getElementById('btn-back-from-daily');
+const btnAddEtape = document.getElementById('btn-add-etape');
+const etapesList = document.getElementById('etapes-list');
 const gameForm = document.getElementById('game-form');
 const loading = document.getElementById('loading');
+const btnCancel = document.getElementById('btn-cancel');
+
+// Roundabout types, as counted by the server
+const TYPE_LABELS = {
+  roundabout: 'GIRATOIRES',
+  circular: 'CARREFOURS CIRCULAIRES',
+  mini_roundabout: 'MINI-GIRATOIRES',
+  turning_circle: 'RAQUETTES'
+};
+let scoreWeights = {};
+// Leaderboard view currently shown (sort key, distance class, time window, countries, page)
+const boardView = { budget: '', sort: 'count', distance: 'all', period: 'all', scope: 'all', page: 1 };
+// 'classic', or 'daily' when playing the day's challenge (start city imposed)
+let gameMode = 'classic';
+// Distance budget picked on the game form (km), null for a free route
+let gameBudget = null;
+// Daily challenge shown on its screen (today by default)
+let dailyState = null;
 
 // ===== Screen Navigation =====
 function showScreen(name) {
   Object.values(screens).forEach(s => s.classList.remove('active'));
   screens[name].classList.add('active');
+  // A result permalink only stands for the result screen
+  if (name !== 'result' && location.pathname !== '/') history.replaceState(null, '', '/');
 }
 
 // ===== Toast Notifications =====
@@ -33,62 +61,441 @@ function showToast(msg, duration = 4000) {
 }
 
 // ===== Leaderboard Rendering =====
-function renderLeaderboard(data, highlightDate) {
-  const tbody = document.getElementById('leaderboard-body');
+function renderLeaderboard(data, highlightId) {
+  screens.leaderboard.querySelectorAll('.board-tabs').forEach(group => {
+    group.querySelectorAll('.board-tab').forEach(tab => {
+      tab.classList.toggle('active', tab.dataset.value === boardView[group.dataset.view]);
+    });
+  });
+  document.getElementById('board-page').textContent = `${data.page} / ${data.pages}`;
+  document.getElementById('btn-page-prev').disabled = data.page <= 1;
+  document.getElementById('btn-page-next').disabled = data.page >= data.pages;
+  renderBoardRows(document.getElementById('leaderboard-body'), data.entries, highlightId);
+}
+
+// Ranked rows, shared by the main and daily boards
+function renderBoardRows(tbody, entries, highlightId) {
   tbody.innerHTML = '';
-  
-  if (!data.length) {
+
+  if (!entries.length) {
     const row = document.createElement('tr');
-    row.innerHTML = `<td colspan="5" style="color:#555; padding:30px;">Aucun score pour le moment</td>`;
+    row.innerHTML = `<td colspan="6" style="color:#555; padding:30px;">Aucun score pour le moment</td>`;
     tbody.appendChild(row);
     return;
   }
 
-  data.forEach((entry, i) => {
+  entries.forEach(entry => {
     const row = document.createElement('tr');
-    if (highlightDate && entry.date === highlightDate) {
-      row.className = 'highlight';
+    if (entry.rank <= 3) row.classList.add(`rank-${entry.rank}`);
+    if (highlightId && entry.id === highlightId) {
+      row.classList.add('highlight');
     }
+    row.classList.add('clickable');
+    row.addEventListener('click', () => openProfile(entry.pseudo));
     const medals = ['👑', '🥈', '🥉'];
-    const rank = i < 3 ? medals[i] : `${i + 1}`;
+    const rank = entry.rank <= 3 ? medals[entry.rank - 1] : `${entry.rank}`;
     row.innerHTML = `
       <td>${rank}</td>
       <td>${escapeHtml(entry.pseudo)}</td>
-      <td>${escapeHtml(entry.villeDepart)} → ${escapeHtml(entry.villeArrivee)}</td>
-      <td>${entry.nbRondPoints}</td>
+      <td>${entry.decouverte ? '<span title="Découvreur du trajet">⭐</span> ' : ''}${formatCountries(entry)}${escapeHtml(formatItinerary(entry))}</td>
+      <td title="${escapeHtml(formatBreakdown(entry))}">${entry.score ?? entry.nbRondPoints}</td>
       <td>${entry.distanceKm}</td>
+      <td>${entry.ratio}</td>
     `;
     tbody.appendChild(row);
   });
 }
 
+// "12 giratoires, 4 mini-giratoires" (entries saved before typed scoring have none)
+function formatBreakdown(entry) {
+  if (!entry.repartition) return `${entry.nbRondPoints} ronds-points`;
+  return Object.entries(entry.repartition)
+    .filter(([, count]) => count > 0)
+    .map(([type, count]) => `${count} ${(TYPE_LABELS[type] || type).toLowerCase()}`)
+    .join(', ');
+}
+
+// Flag emoji of an ISO country code: 'ch' → 🇨🇭
+function flag(code) {
+  return String.fromCodePoint(...code.toUpperCase().split('').map(c => 0x1F1E6 + c.charCodeAt(0) - 65));
+}
+
+// Flags of an international route (domestic routes go without)
+function formatCountries(entry) {
+  return entry.pays?.length > 1 ? `${entry.pays.map(flag).join('')} ` : '';
+}
+
+function formatItinerary(entry) {
+  return [entry.villeDepart, ...(entry.etapes || []), entry.villeArrivee].join(' → ');
+}
+
 function escapeHtml(str) {
   const div = document.createElement('div');
   div.textContent = str;
   return div.innerHTML;
 }
 
+// ===== Roundabout List (result screen) =====
+// Same link from a registry key of the stats ('w<id>' ring way, 'n<id>' node)
+function osmKeyUrl(key) {
+  return `https://www.openstreetmap.org/${key[0] === 'n' ? 'node' : 'way'}/${key.slice(1)}`;
+}
+
+function osmUrl(rp) {
+  return rp.nodeId
+    ? `https://www.openstreetmap.org/node/${rp.nodeId}`
+    : `https://www.openstreetmap.org/way/${rp.wayIds[0]}`;
+}
+
+// Traversed roundabouts, and in grey those only passed nearby (not counted), in route order
+function renderRoundaboutList(roundabouts, nearby = []) {
+  const wrapper = document.getElementById('result-list-wrapper');
+  const list = document.getElementById('result-list');
+  list.innerHTML = '';
+  wrapper.classList.toggle('hidden', !roundabouts.length && !nearby.length);
+
+  [...roundabouts, ...nearby].sort((a, b) => a.km - b.km).forEach(rp => {
+    const li = document.createElement('li');
+    if (rp.label === 'nearby') li.className = 'rp-nearby';
+    const label = rp.name || rp.ref || (TYPE_LABELS[rp.type] || rp.type).toLowerCase();
+    li.innerHTML = `
+      <span class="rp-km">KM ${rp.km.toFixed(1)}</span>
+      <a href="${osmUrl(rp)}" target="_blank" rel="noopener">${escapeHtml(label)}</a>
+      ${rp.name && rp.ref ? `<span class="rp-ref">${escapeHtml(rp.ref)}</span>` : ''}
+      ${rp.label === 'nearby' ? '<span class="rp-ref">FRÔLÉ</span>' : ''}
+    `;
+    list.appendChild(li);
+  });
+}
+
+// ===== Route Mini-Map & Strip (inline SVG, CSP-friendly) =====
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+function svgEl(tag, attrs = {}) {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([key, value]) => el.setAttribute(key, value));
+  return el;
+}
+
+// Route polyline + roundabout dots, fitted into the box (equirectangular projection)
+function renderRouteMap(container, trace, roundabouts) {
+  container.innerHTML = '';
+  container.classList.toggle('hidden', trace.length < 2);
+  if (trace.length < 2) return;
+
+  const width = 300, height = 180, pad = 12;
+  const lats = trace.map(([, lat]) => lat);
+  const lons = trace.map(([lon]) => lon);
+  const minLat = Math.min(...lats), maxLat = Math.max(...lats);
+  const minLon = Math.min(...lons), maxLon = Math.max(...lons);
+  const kx = Math.cos(((minLat + maxLat) / 2) * Math.PI / 180);
+  const spanX = Math.max((maxLon - minLon) * kx, 1e-6);
+  const spanY = Math.max(maxLat - minLat, 1e-6);
+  const scale = Math.min((width - 2 * pad) / spanX, (height - 2 * pad) / spanY);
+  const offsetX = (width - spanX * scale) / 2;
+  const offsetY = (height - spanY * scale) / 2;
+  const project = (lon, lat) => [
+    (offsetX + (lon - minLon) * kx * scale).toFixed(1),
+    (height - offsetY - (lat - minLat) * scale).toFixed(1)
+  ];
+
+  const svg = svgEl('svg', { viewBox: `0 0 ${width} ${height}`, class: 'route-map', role: 'img', 'aria-label': 'Carte du trajet' });
+  svg.appendChild(svgEl('polyline', {
+    points: trace.map(([lon, lat]) => project(lon, lat).join(',')).join(' '),
+    class: 'route-line'
+  }));
+  roundabouts.forEach(rp => {
+    const [x, y] = project(rp.lon, rp.lat);
+    svg.appendChild(svgEl('circle', { cx: x, cy: y, r: 2.5, class: 'route-rp' }));
+  });
+  const [startX, startY] = project(...trace[0]);
+  const [endX, endY] = project(...trace[trace.length - 1]);
+  svg.appendChild(svgEl('rect', { x: startX - 4, y: startY - 4, width: 8, height: 8, class: 'route-start' }));
+  svg.appendChild(svgEl('rect', { x: endX - 4, y: endY - 4, width: 8, height: 8, class: 'route-end' }));
+  container.appendChild(svg);
+}
+
+// Linear strip from departure to arrival: one tick per roundabout, so clusters stand out
+function renderRouteStrip(container, distanceKm, roundabouts) {
+  container.innerHTML = '';
+  container.classList.toggle('hidden', !distanceKm);
+  if (!distanceKm) return;
+
+  const width = 300, height = 44, pad = 8, lineY = 18;
+  const svg = svgEl('svg', { viewBox: `0 0 ${width} ${height}`, class: 'route-strip', role: 'img', 'aria-label': 'Répartition des ronds-points sur le trajet' });
+  svg.appendChild(svgEl('line', { x1: pad, y1: lineY, x2: width - pad, y2: lineY, class: 'strip-line' }));
+  roundabouts.forEach(rp => {
+    const x = pad + (Math.min(rp.km, distanceKm) / distanceKm) * (width - 2 * pad);
+    svg.appendChild(svgEl('line', { x1: x.toFixed(1), y1: lineY - 8, x2: x.toFixed(1), y2: lineY + 8, class: 'strip-tick' }));
+  });
+  const startLabel = svgEl('text', { x: pad, y: height - 4, class: 'strip-label' });
+  startLabel.textContent = '0';
+  const endLabel = svgEl('text', { x: width - pad, y: height - 4, class: 'strip-label', 'text-anchor': 'end' });
+  endLabel.textContent = `${distanceKm} KM`;
+  svg.append(startLabel, endLabel);
+  container.appendChild(svg);
+}
+
+// Route already played? Credit its discoverer, and the player's own record on it
+function renderDiscovery(result) {
+  const el = document.getElementById('result-discovery');
+  const { dejaConnu, decouvertPar, decouvertLe, record } = result.trajet;
+  el.classList.toggle('first', !dejaConnu && !!decouvertPar);
+  const lines = [];
+  // A shared result is someone else's: speak of the player, not to them
+  const player = result.partage ? escapeHtml(result.pseudo) : null;
+  if (!dejaConnu && decouvertPar) {
+    lines.push(player ? `⭐ TRAJET DÉCOUVERT PAR ${player} !` : '⭐ NOUVEAU TRAJET : TU L\'AS DÉCOUVERT !');
+  } else if (decouvertPar) {
+    const day = new Date(decouvertLe).toLocaleDateString('fr-FR');
+    lines.push(`TRAJET CONNU, DÉCOUVERT PAR ${escapeHtml(decouvertPar)} LE ${day}`);
+  }
+  if (record) {
+    lines.push(`${player ? `LE RECORD DE ${player}` : 'TON RECORD'} ${result.mode === 'daily' ? 'DU JOUR' : 'SUR CE TRAJET'} ${player ? 'EST DE' : 'RESTE'} ${record.score} POINTS`);
+  }
+  el.innerHTML = lines.join('<br>');
+}
+
+// ===== Stats Screen =====
+// Stats view shown: rondspoints, departements, trajets or joueurs
+let statsView = 'rondspoints';
+
+// Column titles and cells of each stats view (the rank comes first)
+const STATS_COLUMNS = {
+  rondspoints: {
+    head: ['ROND-POINT', 'DÉPT', 'PARTIES', 'JOUEURS'],
+    cells: rp => [
+      `<a href="${osmKeyUrl(rp.id)}" target="_blank" rel="noopener">${escapeHtml(rp.nom || rp.ref || (TYPE_LABELS[rp.type] || rp.type).toLowerCase())}</a>`,
+      rp.departement || (rp.pays ? flag(rp.pays) : '—'),
+      rp.passages,
+      rp.joueurs
+    ]
+  },
+  departements: {
+    head: ['DÉPARTEMENT', 'RONDS-POINTS', 'PASSAGES'],
+    cells: dept => [escapeHtml(dept.nom ? `${dept.nom} (${dept.code})` : dept.code), dept.rondsPoints, dept.passages]
+  },
+  trajets: {
+    head: ['PSEUDO', 'TRAJET', 'KM', '/100KM'],
+    cells: entry => [escapeHtml(entry.pseudo), `${formatCountries(entry)}${escapeHtml(formatItinerary(entry))}`, entry.distanceKm, entry.ratio]
+  },
+  joueurs: {
+    head: ['PSEUDO', 'PARTIES', '🔄', 'DIFFÉRENTS', 'KM'],
+    cells: player => [escapeHtml(player.pseudo), player.parties, player.rondsPoints, player.distincts, player.distanceKm]
+  }
+};
+
+function renderStatsTotals(totals) {
+  document.getElementById('stats-totals').innerHTML =
+    `<span>${totals.parties}</span> PARTIES · <span>${totals.joueurs}</span> JOUEURS<br>` +
+    `<span>${totals.passages}</span> RONDS-POINTS TRAVERSÉS (<span>${totals.rondsPointsDistincts}</span> DIFFÉRENTS)<br>` +
+    `<span>${totals.distanceKm}</span> KM PARCOURUS`;
+}
+
+function renderStats(entries) {
+  document.querySelectorAll('#stats-tabs .board-tab').forEach(tab => {
+    tab.classList.toggle('active', tab.dataset.value === statsView);
+  });
+  const { head, cells } = STATS_COLUMNS[statsView];
+  document.getElementById('stats-head').innerHTML = `<tr><th>#</th>${head.map(title => `<th>${title}</th>`).join('')}</tr>`;
+
+  const tbody = document.getElementById('stats-body');
+  tbody.innerHTML = '';
+  if (!entries.length) {
+    tbody.innerHTML = `<tr><td colspan="${head.length + 1}" style="color:#555; padding:30px;">Aucune partie pour le moment</td></tr>`;
+    return;
+  }
+  entries.forEach((entry, i) => {
+    const row = document.createElement('tr');
+    if (i < 3) row.classList.add(`rank-${i + 1}`);
+    if (entry.pseudo) {
+      row.classList.add('clickable');
+      row.addEventListener('click', () => openProfile(entry.pseudo));
+    }
+    row.innerHTML = [i + 1, ...cells(entry)].map(cell => `<td>${cell}</td>`).join('');
+    tbody.appendChild(row);
+  });
+}
+
+// ===== Profile Screen =====
+// Player shown, history page, and the screen to go back to
+const profileState = { pseudo: null, page: 1, from: 'title' };
+
+function renderProfile(profile) {
+  document.getElementById('profile-title').textContent = `👤 ${profile.pseudo}${profile.reserve ? ' 🔒' : ''}`;
+  document.getElementById('profile-totals').innerHTML =
+    `<span>${profile.parties}</span> PARTIE${profile.parties > 1 ? 'S' : ''} · ` +
+    `<span>${profile.totaux.rondsPoints}</span> RONDS-POINTS · <span>${profile.totaux.distanceKm}</span> KM`;
+
+  const { score, ratio, distance } = profile.records;
+  const records = [
+    ['🏆 MEILLEUR SCORE', score && `${score.score ?? score.nbRondPoints} POINTS`, score],
+    ['🌀 MEILLEUR RATIO', ratio && `${ratio.ratio} /100 KM`, ratio],
+    ['🛣️ PLUS LONG TRAJET', distance && `${distance.distanceKm} KM`, distance]
+  ];
+  document.getElementById('profile-records').innerHTML = records
+    .filter(([, , entry]) => entry)
+    .map(([label, value, entry]) => `<li>${label} : <span>${value}</span> — ${escapeHtml(formatItinerary(entry))}</li>`)
+    .join('');
+
+  const departments = profile.departements;
+  document.getElementById('profile-departments').textContent = departments.length
+    ? `📍 ${departments.length} DÉPARTEMENT${departments.length > 1 ? 'S' : ''} : ${departments.map(d => d.nom || d.code).join(', ')}`
+    : '';
+
+  document.getElementById('profile-achievements').innerHTML = profile.succes
+    .map(a => `<li class="${a.obtenu ? '' : 'locked'}" title="${escapeHtml(a.description)}">${a.obtenu ? '🏅' : '🔒'} ${escapeHtml(a.titre)}` +
+      `<small>${escapeHtml(a.description)}${a.obtenu ? ` — ${new Date(a.date).toLocaleDateString('fr-FR')}` : ''}</small></li>`)
+    .join('');
+
+  const { historique } = profile;
+  const tbody = document.getElementById('profile-history');
+  tbody.innerHTML = '';
+  historique.entries.forEach(entry => {
+    const row = document.createElement('tr');
+    row.classList.add('clickable');
+    row.addEventListener('click', () => openPermalink(entry.id));
+    row.innerHTML = `
+      <td>${new Date(entry.date).toLocaleDateString('fr-FR')}</td>
+      <td>${entry.decouverte ? '<span title="Découvreur du trajet">⭐</span> ' : ''}${formatCountries(entry)}${escapeHtml(formatItinerary(entry))}${entry.complet === false ? ' ⚠' : ''}</td>
+      <td title="${escapeHtml(formatBreakdown(entry))}">${entry.score ?? entry.nbRondPoints}</td>
+      <td>${entry.distanceKm}</td>
+      <td>${entry.ratio}</td>
+    `;
+    tbody.appendChild(row);
+  });
+  document.getElementById('profile-page').textContent = `${historique.page} / ${historique.pages}`;
+  document.getElementById('btn-profile-prev').disabled = historique.page <= 1;
+  document.getElementById('btn-profile-next').disabled = historique.page >= historique.pages;
+}
+
+// Leaderboard and stats rows open the player's profile
+async function openProfile(pseudo, page = 1) {
+  if (!screens.profile.classList.contains('active')) {
+    profileState.from = Object.keys(screens).find(name => screens[name].classList.contains('active')) || 'title';
+  }
+  profileState.pseudo = pseudo;
+  profileState.page = page;
+  try {
+    const res = await fetch(`/api/profile/${encodeURIComponent(pseudo)}?page=${page}`);
+    const profile = await res.json();
+    if (!res.ok) throw new Error(profile.error || 'Erreur serveur');
+    renderProfile(profile);
+    showScreen('profile');
+  } catch (err) {
+    showToast(err.message);
+  }
+}
+
+// Achievements unlocked by this game (a practice game: unlocked once saved)
+function renderAchievements(result) {
+  const list = document.getElementById('result-achievements');
+  const unlocked = result.succes || [];
+  list.classList.toggle('hidden', !unlocked.length);
+  list.innerHTML = unlocked
+    .map(a => `<li>🏅 ${result.entrainement ? 'À DÉBLOQUER EN ENREGISTRANT' : 'SUCCÈS DÉBLOQUÉ'} : ${escapeHtml(a.titre)}</li>`)
+    .join('');
+}
+
 // ===== API Calls =====
+async function fetchStats(view) {
+  try {
+    const res = await fetch(view ? `/api/stats/${view}` : '/api/stats');
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return await res.json();
+  } catch {
+    return view ? { entries: [] } : { parties: 0, joueurs: 0, passages: 0, rondsPointsDistincts: 0, distanceKm: 0 };
+  }
+}
+
 async function fetchLeaderboard() {
+  const params = new URLSearchParams(boardView);
   try {
-    const res = await fetch('/api/leaderboard');
+    const res = await fetch(`/api/leaderboard?${params}`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
     return await res.json();
   } catch {
-    return [];
+    return { entries: [], page: 1, pages: 1, total: 0 };
   }
 }
 
-async function submitChallenge(pseudo, villeDepart, villeArrivee) {
-  const res = await fetch('/api/challenge', {
+async function fetchConfig() {
+  try {
+    const res = await fetch('/api/config');
+    return await res.json();
+  } catch {
+    return { maxEtapes: 3, scoreWeights: {}, budgetsKm: [] };
+  }
+}
+
+// Daily challenge of a given day (YYYY-MM-DD), today when omitted
+async function fetchDaily(date) {
+  const res = await fetch(date ? `/api/daily/${date}` : '/api/daily');
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || 'Erreur serveur');
+  return data;
+}
+
+// Starts a challenge job, returns { id, status, progress }
+// Practice games go to the preview endpoint: nothing is saved
+async function submitChallenge(pseudo, villeDepart, villeArrivee, etapes, { mode, budgetKm, practice, communes = {} }) {
+  const res = await fetch(practice ? '/api/preview' : '/api/challenge', {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ pseudo, villeDepart, villeArrivee })
+    headers: { 'Content-Type': 'application/json', ...pseudoHeaders(pseudo) },
+    body: JSON.stringify({ pseudo, villeDepart, villeArrivee, etapes, mode, budgetKm, ...communes })
   });
   const data = await res.json();
   if (!res.ok) throw new Error(data.error || 'Erreur serveur');
   return data;
 }
 
+// Follows a job until it ends: Server-Sent Events, or polling if the stream fails
+function watchJob(jobId, onProgress) {
+  return new Promise((resolve, reject) => {
+    const finish = job => {
+      if (job.status === 'done') resolve(job.result);
+      else reject(new Error(job.error || 'Erreur serveur'));
+    };
+
+    const poll = async () => {
+      try {
+        const res = await fetch(`/api/challenge/${jobId}`);
+        const job = await res.json();
+        if (!res.ok) return reject(new Error(job.error || 'Erreur serveur'));
+        onProgress(job.progress);
+        if (job.status === 'running') setTimeout(poll, 1500);
+        else finish(job);
+      } catch {
+        setTimeout(poll, 3000);
+      }
+    };
+
+    if (!window.EventSource) {
+      poll();
+      return;
+    }
+
+    const source = new EventSource(`/api/challenge/${jobId}/events`);
+    source.addEventListener('progress', e => onProgress(JSON.parse(e.data).progress));
+    source.addEventListener('end', e => {
+      source.close();
+      finish(JSON.parse(e.data));
+    });
+    source.onerror = () => {
+      source.close();
+      poll();
+    };
+  });
+}
+
+async function cancelChallenge(jobId) {
+  try {
+    await fetch(`/api/challenge/${jobId}`, { method: 'DELETE' });
+  } catch {
+    // The job will end on its own
+  }
+}
+
 // ===== Animated Counter =====
 function animateNumber(el, target, duration = 1500) {
   const start = 0;
@@ -100,7 +507,8 @@ function animateNumber(el, target, duration = 1500) {
     // Ease out cubic
     const ease = 1 - Math.pow(1 - progress, 3);
     const current = Math.round(start + (target - start) * ease);
-    el.textContent = current;
+    // Scores can be fractional (weighted types): land on the exact value
+    el.textContent = progress < 1 ? current : target;
     if (progress < 1) requestAnimationFrame(update);
   }
   requestAnimationFrame(update);
@@ -111,6 +519,7 @@ function setupAutocomplete(inputId, listId) {
   const input = document.getElementById(inputId);
   const list = document.getElementById(listId);
   let debounceTimer = null;
+  let pending = null; // request in flight, aborted by the next one (frees its queue slot)
   let selectedIdx = -1;
   let currentItems = [];
 
@@ -121,6 +530,14 @@ function setupAutocomplete(inputId, listId) {
     selectedIdx = -1;
   }
 
+  // A picked commune is remembered by its INSEE code, so the server places exactly that one
+  function pick(r) {
+    input.value = r.name;
+    if (r.id) input.dataset.commune = r.id;
+    else delete input.dataset.commune;
+    hideList();
+  }
+
   function showResults(results) {
     list.innerHTML = '';
     currentItems = results;
@@ -134,11 +551,11 @@ function setupAutocomplete(inputId, listId) {
     results.forEach((r, i) => {
       const div = document.createElement('div');
       div.className = 'autocomplete-item';
-      div.innerHTML = `${escapeHtml(r.name)}${r.department ? `<span class="ac-dept">${escapeHtml(r.department)}</span>` : ''}`;
+      const detail = [r.codePostal, r.department].filter(Boolean).join(' · ');
+      div.innerHTML = `${r.pays ? `${flag(r.pays)} ` : ''}${escapeHtml(r.name)}${detail ? `<span class="ac-dept">${escapeHtml(detail)}</span>` : ''}`;
       div.addEventListener('mousedown', (e) => {
         e.preventDefault(); // prevent input blur
-        input.value = r.name;
-        hideList();
+        pick(r);
       });
       list.appendChild(div);
     });
@@ -155,6 +572,7 @@ function setupAutocomplete(inputId, listId) {
 
   input.addEventListener('input', () => {
     const q = input.value.trim();
+    delete input.dataset.commune; // typed over: free text again
     clearTimeout(debounceTimer);
 
     if (q.length < 2) {
@@ -163,8 +581,10 @@ function setupAutocomplete(inputId, listId) {
     }
 
     debounceTimer = setTimeout(async () => {
+      pending?.abort();
+      pending = new AbortController();
       try {
-        const res = await fetch(`/api/autocomplete?q=${encodeURIComponent(q)}`);
+        const res = await fetch(`/api/autocomplete?q=${encodeURIComponent(q)}`, { signal: pending.signal });
         const data = await res.json();
         // Only show if input still matches (user might have typed more)
         if (input.value.trim().toLowerCase().startsWith(q.toLowerCase())) {
@@ -189,8 +609,7 @@ function setupAutocomplete(inputId, listId) {
       updateSelection();
     } else if (e.key === 'Enter' && selectedIdx >= 0) {
       e.preventDefault();
-      input.value = currentItems[selectedIdx].name;
-      hideList();
+      pick(currentItems[selectedIdx]);
     } else if (e.key === 'Escape') {
       hideList();
     }
@@ -206,19 +625,329 @@ function setupAutocomplete(inputId, listId) {
 setupAutocomplete('ville-depart', 'ac-depart');
 setupAutocomplete('ville-arrivee', 'ac-arrivee');
 
+// ===== Pseudo Ownership (claim token in localStorage, next to gc_pseudo) =====
+const pseudoInput = document.getElementById('pseudo');
+const pseudoClaim = document.getElementById('pseudo-claim');
+const pseudoStatus = document.getElementById('pseudo-status');
+const pseudoSecret = document.getElementById('pseudo-secret');
+const btnPseudoClaim = document.getElementById('btn-pseudo-claim');
+const btnPseudoRecover = document.getElementById('btn-pseudo-recover');
+const btnPseudoCopy = document.getElementById('btn-pseudo-copy');
+
+// Same folding as the server (cleanPseudo, then normalizeName): "Déno" and "deno",
+// "O'Neil" and "ONeil" are one pseudo
+function pseudoKey(pseudo) {
+  return pseudo.replace(/[<>"'&;]/g, '').trim().substring(0, 20)
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase().replace(/[\s'’-]+/g, ' ').trim();
+}
+
+// Tokens saved under an older folding are found again under the current one
+function pseudoTokens() {
+  try {
+    const tokens = JSON.parse(localStorage.getItem('gc_tokens')) || {};
+    return Object.fromEntries(Object.entries(tokens).map(([key, token]) => [pseudoKey(key), token]));
+  } catch {
+    return {};
+  }
+}
+
+function savePseudoToken(pseudo, token) {
+  const tokens = pseudoTokens();
+  tokens[pseudoKey(pseudo)] = token;
+  localStorage.setItem('gc_tokens', JSON.stringify(tokens));
+}
+
+function pseudoHeaders(pseudo) {
+  const token = pseudoTokens()[pseudoKey(pseudo)];
+  return token ? { 'X-Pseudo-Token': token } : {};
+}
+
+async function pseudoRequest(action, body) {
+  const res = await fetch(`/api/pseudo/${action}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || 'Erreur serveur');
+  return data;
+}
+
+function showPseudoState(state) {
+  pseudoStatus.className = `pseudo-status ${state}`;
+  pseudoStatus.textContent = {
+    free: '🔓 PSEUDO LIBRE : RÉSERVE-LE POUR QUE PERSONNE NE JOUE À TA PLACE',
+    owned: '🔒 PSEUDO RÉSERVÉ : C\'EST LE TIEN',
+    taken: '🔒 PSEUDO RÉSERVÉ : ENTRE TON CODE SECRET OU TON JETON POUR LE RÉCUPÉRER'
+  }[state];
+  pseudoSecret.placeholder = state === 'free' ? 'CODE SECRET (OPTIONNEL)' : 'CODE SECRET OU JETON';
+  pseudoSecret.classList.toggle('hidden', state === 'owned');
+  btnPseudoClaim.classList.toggle('hidden', state !== 'free');
+  btnPseudoRecover.classList.toggle('hidden', state !== 'taken');
+  btnPseudoCopy.classList.toggle('hidden', state !== 'owned');
+  pseudoClaim.classList.remove('hidden');
+}
+
+async function refreshPseudoClaim() {
+  const pseudo = pseudoInput.value.trim();
+  if (!pseudo) {
+    pseudoClaim.classList.add('hidden');
+    return;
+  }
+  try {
+    const res = await fetch(`/api/pseudo/${encodeURIComponent(pseudo)}`, { headers: pseudoHeaders(pseudo) });
+    const claim = await res.json();
+    if (pseudoInput.value.trim() !== pseudo) return; // typed on meanwhile
+    showPseudoState(!claim.reserve ? 'free' : claim.aToi ? 'owned' : 'taken');
+  } catch {
+    pseudoClaim.classList.add('hidden');
+  }
+}
+
+let pseudoDebounce = null;
+pseudoInput.addEventListener('input', () => {
+  clearTimeout(pseudoDebounce);
+  pseudoDebounce = setTimeout(refreshPseudoClaim, 400);
+});
+
+btnPseudoClaim.addEventListener('click', async () => {
+  try {
+    const { pseudo, token } = await pseudoRequest('claim', { pseudo: pseudoInput.value.trim(), pin: pseudoSecret.value });
+    savePseudoToken(pseudo, token);
+    pseudoSecret.value = '';
+    refreshPseudoClaim();
+  } catch (err) {
+    showToast(err.message);
+  }
+});
+
+// Another browser: the code secret issues a new token, a copied token is reused as is
+btnPseudoRecover.addEventListener('click', async () => {
+  try {
+    const { pseudo, token } = await pseudoRequest('recover', { pseudo: pseudoInput.value.trim(), secret: pseudoSecret.value });
+    savePseudoToken(pseudo, token);
+    pseudoSecret.value = '';
+    refreshPseudoClaim();
+  } catch (err) {
+    showToast(err.message);
+  }
+});
+
+btnPseudoCopy.addEventListener('click', async () => {
+  const token = pseudoTokens()[pseudoKey(pseudoInput.value.trim())];
+  try {
+    await navigator.clipboard.writeText(token);
+    pseudoStatus.textContent = '📋 JETON COPIÉ : COLLE-LE DANS « RÉCUPÉRER » SUR TON AUTRE NAVIGATEUR';
+  } catch {
+    window.prompt('Ton jeton (à coller dans « RÉCUPÉRER » sur ton autre navigateur) :', token);
+  }
+});
+
+// ===== Daily Challenge =====
+let dailyToday = null;
+let dailyTimer = null;
+
+function shiftDate(date, days) {
+  const d = new Date(`${date}T12:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().substring(0, 10);
+}
+
+function renderDailyCountdown() {
+  const left = Math.max(0, new Date(dailyState.finLe) - Date.now());
+  const hms = [3600000, 60000, 1000].map((unit, i) => {
+    const value = Math.floor(left / unit) % (i ? 60 : 100);
+    return String(value).padStart(2, '0');
+  }).join(':');
+  document.getElementById('daily-countdown').textContent = `NOUVEAU DÉFI DANS ${hms}`;
+  if (!left) { // midnight in Paris: the next challenge is out
+    clearInterval(dailyTimer);
+    showDaily();
+  }
+}
+
+function renderDaily(highlightId) {
+  const isToday = dailyState.date === dailyToday;
+  const day = new Date(`${dailyState.date}T12:00:00Z`).toLocaleDateString('fr-FR', { day: 'numeric', month: 'short', year: 'numeric' });
+  document.getElementById('daily-date').textContent = isToday ? 'AUJOURD\'HUI' : day.toUpperCase();
+  document.getElementById('daily-city').textContent = dailyState.villeDepart.toUpperCase();
+  document.getElementById('btn-daily-next').disabled = isToday;
+  btnDailyPlay.classList.toggle('hidden', !isToday);
+  renderBoardRows(document.getElementById('daily-body'), dailyState.leaderboard, highlightId);
+
+  clearInterval(dailyTimer);
+  document.getElementById('daily-countdown').classList.toggle('hidden', !isToday);
+  if (isToday) {
+    renderDailyCountdown();
+    dailyTimer = setInterval(() => {
+      if (screens.daily.classList.contains('active')) renderDailyCountdown();
+      else clearInterval(dailyTimer);
+    }, 1000);
+  }
+}
+
+async function showDaily(date, highlightId) {
+  try {
+    dailyState = await fetchDaily(date);
+    if (!date) dailyToday = dailyState.date;
+    renderDaily(highlightId);
+  } catch (err) {
+    showToast(err.message);
+  }
+}
+
+// Game form in classic or daily mode (the day's start city is locked)
+function setGameMode(mode) {
+  gameMode = mode;
+  const depart = document.getElementById('ville-depart');
+  document.getElementById('game-title').textContent = mode === 'daily' ? '📅 DÉFI DU JOUR' : '🗺️ NOUVELLE PARTIE';
+  depart.readOnly = mode === 'daily';
+  if (mode === 'daily') depart.value = dailyState.villeDepart;
+  else if (depart.dataset.daily) depart.value = '';
+  depart.dataset.daily = mode === 'daily' ? '1' : '';
+  if (mode === 'daily') delete depart.dataset.commune; // the server places the day's city
+  // The daily challenge has no budget
+  document.getElementById('budget-group').classList.toggle('hidden', mode === 'daily' || !budgetsKm.length);
+}
+
+// ===== Distance Budget =====
+let budgetsKm = [];
+const budgetTabs = document.getElementById('budget-tabs');
+
+function budgetLabel(km) {
+  return km ? `${km} KM` : 'LIBRE';
+}
+
+// Budget choices on the game form and budget boards on the leaderboard, from the server config
+function setupBudgets(budgets) {
+  budgetsKm = budgets;
+  const choices = [null, ...budgets];
+  budgetTabs.innerHTML = choices
+    .map(km => `<button type="button" class="board-tab${km === gameBudget ? ' active' : ''}" data-value="${km ?? ''}">${budgetLabel(km)}</button>`)
+    .join('');
+  document.querySelector('.board-tabs[data-view="budget"]').innerHTML = budgets.length ? choices
+    .map(km => `<button class="board-tab${String(km ?? '') === boardView.budget ? ' active' : ''}" data-value="${km ?? ''}">${km ? `🎯 ${km} KM` : 'CLASSIQUE'}</button>`)
+    .join('') : '';
+  document.getElementById('budget-group').classList.toggle('hidden', gameMode === 'daily' || !budgets.length);
+}
+
+budgetTabs.addEventListener('click', (e) => {
+  const tab = e.target.closest('.board-tab');
+  if (!tab) return;
+  gameBudget = tab.dataset.value ? Number(tab.dataset.value) : null;
+  budgetTabs.querySelectorAll('.board-tab').forEach(t => t.classList.toggle('active', t === tab));
+});
+
+// "87 KM SUR 100 (87 %)" under the result, for budget games
+function renderBudgetUsage(result) {
+  const box = document.getElementById('result-budget');
+  box.classList.toggle('hidden', result.mode !== 'budget');
+  if (result.mode !== 'budget') return;
+  const used = Math.min(100, Math.round((result.distanceKm / result.budgetKm) * 100));
+  document.getElementById('result-budget-text').textContent =
+    `🎯 BUDGET : ${result.distanceKm} KM SUR ${result.budgetKm} (${used} %)`;
+  document.getElementById('result-budget-fill').style.width = `${used}%`;
+}
+
+// ===== Via Cities (étapes) =====
+let maxEtapes = 3;
+let etapeSeq = 0;
+
+function renumberEtapes() {
+  const groups = etapesList.querySelectorAll('.etape-group');
+  groups.forEach((group, i) => {
+    group.querySelector('label').textContent = `📍 ÉTAPE ${i + 1}`;
+  });
+  btnAddEtape.classList.toggle('hidden', groups.length >= maxEtapes);
+}
+
+function addEtapeField() {
+  if (etapesList.children.length >= maxEtapes) return;
+  const n = ++etapeSeq;
+  const group = document.createElement('div');
+  group.className = 'form-group autocomplete-group etape-group';
+  group.innerHTML = `
+    <label for="ville-etape-${n}"></label>
+    <div class="etape-row">
+      <input type="text" id="ville-etape-${n}" placeholder="Orléans" autocomplete="off">
+      <button type="button" class="etape-remove" title="Retirer l'étape">✕</button>
+    </div>
+    <div class="autocomplete-list" id="ac-etape-${n}"></div>
+  `;
+  group.querySelector('.etape-remove').addEventListener('click', () => {
+    group.remove();
+    renumberEtapes();
+  });
+  etapesList.appendChild(group);
+  setupAutocomplete(`ville-etape-${n}`, `ac-etape-${n}`);
+  renumberEtapes();
+  document.getElementById(`ville-etape-${n}`).focus();
+}
+
+function etapeInputs() {
+  return [...etapesList.querySelectorAll('input')].filter(input => input.value.trim());
+}
+
+function getEtapes() {
+  return etapeInputs().map(input => input.value.trim());
+}
+
+// INSEE code of the commune picked in a city field, null when typed freely
+function communeId(input) {
+  return input.dataset.commune || null;
+}
+
+btnAddEtape.addEventListener('click', addEtapeField);
+
+fetchConfig().then(config => {
+  maxEtapes = config.maxEtapes;
+  scoreWeights = config.scoreWeights;
+  setupBudgets(config.budgetsKm || []);
+  renumberEtapes();
+});
+
 // ===== Event Handlers =====
 
 // Title → Game
 btnStart.addEventListener('click', () => {
+  setGameMode('classic');
   showScreen('game');
   // Restore pseudo from localStorage if available
   const saved = localStorage.getItem('gc_pseudo');
   if (saved) document.getElementById('pseudo').value = saved;
+  refreshPseudoClaim();
 });
 
+// Title → Daily challenge
+btnDaily.addEventListener('click', () => {
+  showScreen('daily');
+  showDaily();
+});
+
+// Daily challenge → Game, from the day's start city
+btnDailyPlay.addEventListener('click', () => {
+  setGameMode('daily');
+  showScreen('game');
+  const saved = localStorage.getItem('gc_pseudo');
+  if (saved) document.getElementById('pseudo').value = saved;
+  refreshPseudoClaim();
+});
+
+// Daily challenge: browse past days
+document.getElementById('btn-daily-prev').addEventListener('click', () => showDaily(shiftDate(dailyState.date, -1)));
+document.getElementById('btn-daily-next').addEventListener('click', () => {
+  const next = shiftDate(dailyState.date, 1);
+  showDaily(next === dailyToday ? undefined : next);
+});
+
+// Daily challenge → Title
+btnBackFromDaily.addEventListener('click', () => showScreen('title'));
+
 // Title → Leaderboard
 btnScores.addEventListener('click', async () => {
   showScreen('leaderboard');
+  boardView.page = 1;
   const data = await fetchLeaderboard();
   renderLeaderboard(data);
 });
@@ -231,16 +960,84 @@ btnRetry.addEventListener('click', () => showScreen('game'));
 
 // Result → Leaderboard
 btnToScores.addEventListener('click', async () => {
+  if (gameMode === 'daily') {
+    showScreen('daily');
+    showDaily(undefined, lastResultId);
+    return;
+  }
   showScreen('leaderboard');
+  boardView.budget = gameBudget ? String(gameBudget) : '';
+  boardView.page = 1;
   const data = await fetchLeaderboard();
-  renderLeaderboard(data, lastResultDate);
+  renderLeaderboard(data, lastResultId);
+});
+
+// Leaderboard tabs: switch view, back to the first page
+screens.leaderboard.querySelectorAll('.board-tabs').forEach(group => {
+  group.addEventListener('click', async (e) => {
+    const tab = e.target.closest('.board-tab');
+    if (!tab) return;
+    boardView[group.dataset.view] = tab.dataset.value;
+    boardView.page = 1;
+    renderLeaderboard(await fetchLeaderboard(), lastResultId);
+  });
+});
+
+// Leaderboard pagination
+document.getElementById('btn-page-prev').addEventListener('click', async () => {
+  boardView.page--;
+  renderLeaderboard(await fetchLeaderboard(), lastResultId);
+});
+document.getElementById('btn-page-next').addEventListener('click', async () => {
+  boardView.page++;
+  renderLeaderboard(await fetchLeaderboard(), lastResultId);
 });
 
 // Leaderboard → Title
 btnBackFromScores.addEventListener('click', () => showScreen('title'));
 
+// Title → Stats
+document.getElementById('btn-stats').addEventListener('click', async () => {
+  showScreen('stats');
+  const [totals, data] = await Promise.all([fetchStats(), fetchStats(statsView)]);
+  renderStatsTotals(totals);
+  renderStats(data.entries);
+});
+
+// Stats tabs
+document.getElementById('stats-tabs').addEventListener('click', async (e) => {
+  const tab = e.target.closest('.board-tab');
+  if (!tab) return;
+  statsView = tab.dataset.value;
+  renderStats((await fetchStats(statsView)).entries);
+});
+
+// Stats → Title
+document.getElementById('btn-back-from-stats').addEventListener('click', () => showScreen('title'));
+
+// Profile history pagination, and back to the screen the profile was opened from
+document.getElementById('btn-profile-prev').addEventListener('click', () => openProfile(profileState.pseudo, profileState.page - 1));
+document.getElementById('btn-profile-next').addEventListener('click', () => openProfile(profileState.pseudo, profileState.page + 1));
+document.getElementById('btn-back-from-profile').addEventListener('click', () => showScreen(profileState.from));
+
 // Track last result for highlighting
-let lastResultDate = null;
+let lastResultId = null;
+// Job currently shown in the loading overlay
+let currentJobId = null;
+
+function showProgress(progress) {
+  // Waiting for a busy upstream (Nominatim, OSRM, Overpass): show the queue position
+  document.getElementById('loading-stage').textContent = progress.fileAttente
+    ? `${progress.message} — file d'attente : ${progress.fileAttente === 1 ? 'prochain' : `${progress.fileAttente}e`}`
+    : progress.message;
+  document.getElementById('loading-progress').style.width = `${progress.percent}%`;
+  document.getElementById('loading-percent').textContent = `${progress.percent}%`;
+}
+
+// Loading → cancel the running job (the stream then ends as "cancelled")
+btnCancel.addEventListener('click', () => {
+  if (currentJobId) cancelChallenge(currentJobId);
+});
 
 // Form Submit
 gameForm.addEventListener('submit', async (e) => {
@@ -249,6 +1046,7 @@ gameForm.addEventListener('submit', async (e) => {
   const pseudo = document.getElementById('pseudo').value.trim();
   const villeDepart = document.getElementById('ville-depart').value.trim();
   const villeArrivee = document.getElementById('ville-arrivee').value.trim();
+  const etapes = getEtapes();
 
   if (!pseudo || !villeDepart || !villeArrivee) {
     showToast('Remplis tous les champs !');
@@ -259,31 +1057,199 @@ gameForm.addEventListener('submit', async (e) => {
   localStorage.setItem('gc_pseudo', pseudo);
 
   // Show loading
+  showProgress({ message: 'Envoi de la partie...', percent: 0 });
   loading.classList.remove('hidden');
 
   try {
-    const result = await submitChallenge(pseudo, villeDepart, villeArrivee);
-    lastResultDate = result.date;
+    const mode = gameMode === 'classic' && gameBudget ? 'budget' : gameMode;
+    const practice = document.getElementById('practice').checked;
+    const communes = {
+      idDepart: communeId(document.getElementById('ville-depart')),
+      idArrivee: communeId(document.getElementById('ville-arrivee')),
+      idEtapes: etapeInputs().map(communeId)
+    };
+    const job = await submitChallenge(pseudo, villeDepart, villeArrivee, etapes, { mode, budgetKm: gameBudget, practice, communes });
+    currentJobId = job.id;
+    let result = await watchJob(job.id, showProgress);
+    currentJobId = null;
+    // OSRM found several routes: the player picks the one to submit
+    if (result.aChoisir) {
+      loading.classList.add('hidden');
+      result = await chooseAlternative(job.id, result);
+    }
+    showResult(result);
+  } catch (err) {
+    currentJobId = null;
+    loading.classList.add('hidden');
+    showToast(err.message);
+  }
+});
 
-    // Fill result screen
-    document.getElementById('result-route').textContent = 
-      `${result.villeDepart} → ${result.villeArrivee}`;
-    document.getElementById('result-distance').textContent = result.distanceKm;
-    document.getElementById('result-ratio').textContent = result.ratio;
-    document.getElementById('result-rank').textContent = `#${result.rank}`;
+// Alternatives on the result screen; resolves with the saved result of the picked one
+function chooseAlternative(jobId, choice) {
+  return new Promise((resolve, reject) => {
+    const list = document.getElementById('result-choices-list');
+    document.getElementById('result-choices-route').textContent = formatItinerary(choice);
+    document.getElementById('result-display').classList.add('hidden');
+    document.getElementById('result-choices').classList.remove('hidden');
+    list.innerHTML = '';
 
-    // Show result screen
-    loading.classList.add('hidden');
+    const best = Math.max(...choice.alternatives.map(alt => alt.score));
+    choice.alternatives.forEach(alt => {
+      const li = document.createElement('li');
+      li.className = `choice${alt.score === best ? ' best' : ''}`;
+      const hours = Math.floor(alt.dureeMin / 60);
+      const duration = hours ? `${hours}H${String(alt.dureeMin % 60).padStart(2, '0')}` : `${alt.dureeMin} MIN`;
+      li.innerHTML = `
+        <div class="choice-map"></div>
+        <div class="choice-info">
+          <span class="choice-score">${alt.score} PTS</span>
+          <span>${alt.distanceKm} KM · ${duration}</span>
+          <span class="choice-detail">${escapeHtml(formatBreakdown(alt))}</span>
+          ${alt.complet ? '' : '<span class="choice-warning">⚠ COMPTAGE INCOMPLET</span>'}
+        </div>
+        <button type="button" class="board-tab">CHOISIR</button>
+      `;
+      renderRouteMap(li.querySelector('.choice-map'), alt.trace, []);
+      li.querySelector('button').addEventListener('click', async () => {
+        list.querySelectorAll('button').forEach(btn => { btn.disabled = true; });
+        try {
+          const res = await fetch(`/api/challenge/${jobId}/choose`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ index: alt.index, hash: alt.hash })
+          });
+          const data = await res.json();
+          if (!res.ok) throw new Error(data.error || 'Erreur serveur');
+          resolve(data);
+        } catch (err) {
+          showScreen('game');
+          reject(err);
+        }
+      });
+      list.appendChild(li);
+    });
     showScreen('result');
+  });
+}
 
-    // Animate the big number
-    animateNumber(document.getElementById('result-count'), result.nbRondPoints);
+// Practice result: would-be rank, and a button to save it after all
+function renderPractice(result) {
+  const box = document.getElementById('result-practice');
+  const btnCommit = document.getElementById('btn-commit');
+  box.classList.toggle('hidden', !result.entrainement);
+  if (!result.entrainement) return;
 
-  } catch (err) {
-    loading.classList.add('hidden');
-    showToast(err.message);
+  document.getElementById('result-practice-text').textContent = result.rank
+    ? `🎓 ENTRAÎNEMENT : CE SCORE SERAIT #${result.rank} AU CLASSEMENT`
+    : '🎓 ENTRAÎNEMENT : CE SCORE NE SERAIT PAS CLASSÉ';
+  btnCommit.classList.remove('hidden');
+  btnCommit.disabled = false;
+  btnCommit.onclick = async () => {
+    btnCommit.disabled = true;
+    try {
+      const res = await fetch('/api/preview/commit', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...pseudoHeaders(result.pseudo) },
+        body: JSON.stringify({ jeton: result.jeton })
+      });
+      const saved = await res.json();
+      if (!res.ok) throw new Error(saved.error || 'Erreur serveur');
+      lastResultId = saved.id;
+      renderShare(saved);
+      btnCommit.classList.add('hidden');
+      document.getElementById('result-practice-text').textContent = '💾 SCORE ENREGISTRÉ !';
+      document.getElementById('result-rank').textContent = saved.rank ? `#${saved.rank}` : '—';
+      renderDiscovery(saved);
+      renderAchievements(saved);
+    } catch (err) {
+      btnCommit.disabled = false;
+      showToast(err.message);
+    }
+  };
+}
+
+// Saved results have a permalink (/r/:id), shown in the address bar and shared by the button
+function renderShare(result) {
+  const btnShare = document.getElementById('btn-share');
+  btnShare.classList.toggle('hidden', !!result.entrainement);
+  if (result.entrainement) return;
+
+  const url = `${location.origin}/r/${result.id}`;
+  history.replaceState(null, '', `/r/${result.id}`);
+  btnShare.onclick = async () => {
+    try {
+      if (navigator.share) {
+        await navigator.share({ title: 'Giratoire Challenge', text: `${result.score} points sur ${formatItinerary(result)}`, url });
+      } else {
+        await navigator.clipboard.writeText(url);
+        showToast('🔗 Lien copié !');
+      }
+    } catch (err) {
+      if (err.name !== 'AbortError') showToast('Copie impossible, le lien est dans la barre d\'adresse');
+    }
+  };
+}
+
+// Fill and show the result screen
+function showResult(result) {
+  lastResultId = result.id;
+  document.getElementById('result-choices').classList.add('hidden');
+  document.getElementById('result-display').classList.remove('hidden');
+
+  document.getElementById('result-route').textContent = formatItinerary(result);
+  document.getElementById('result-distance').textContent = result.distanceKm;
+  document.getElementById('result-ratio').textContent = result.ratio;
+  // Per-type breakdown under the big number
+  const breakdown = document.getElementById('result-breakdown');
+  breakdown.innerHTML = '';
+  Object.entries(result.repartition || {})
+    .filter(([, count]) => count > 0)
+    .forEach(([type, count]) => {
+      const li = document.createElement('li');
+      const weight = scoreWeights[type] ?? 1;
+      li.innerHTML = `<span>${count} ${escapeHtml(TYPE_LABELS[type] || type)}</span><span class="breakdown-weight">×${weight}</span>`;
+      breakdown.appendChild(li);
+    });
+
+  // Per-country split, for routes that cross a border
+  const countries = document.getElementById('result-countries');
+  const split = Object.entries(result.repartitionPays || {});
+  countries.classList.toggle('hidden', split.length < 2);
+  countries.innerHTML = split
+    .map(([code, count]) => `<li><span>${flag(code)} ${escapeHtml(code.toUpperCase())}</span><span>${count} 🔄</span></li>`)
+    .join('');
+
+  renderRoundaboutList(result.rondsPoints || [], result.rondsPointsProches || []);
+  renderRouteMap(document.getElementById('result-map'), result.trace || [], result.rondsPoints || []);
+  renderRouteStrip(document.getElementById('result-strip'), result.distanceKm, result.rondsPoints || []);
+
+  // Roundabouts close to the route but not driven through don't score
+  const nearby = document.getElementById('result-nearby');
+  nearby.classList.toggle('hidden', !result.nbProches);
+  nearby.textContent = `+ ${result.nbProches} FRÔLÉ${result.nbProches > 1 ? 'S' : ''} SANS LE${result.nbProches > 1 ? 'S' : ''} TRAVERSER`;
+  document.getElementById('result-rank').textContent = result.rank ? `#${result.rank}` : '—';
+  renderDiscovery(result);
+  renderAchievements(result);
+  renderBudgetUsage(result);
+  renderPractice(result);
+  renderShare(result);
+
+  // Some route segments got no Overpass answer: the score is not ranked
+  const warning = document.getElementById('result-warning');
+  warning.classList.toggle('hidden', result.complet !== false);
+  if (result.complet === false) {
+    const { segments, manquants } = result.couverture;
+    warning.textContent = `⚠ COMPTAGE INCOMPLET : ${manquants.length}/${segments} segments sans réponse. Score non classé, rejoue plus tard !`;
   }
-});
+
+  // Show result screen
+  loading.classList.add('hidden');
+  showScreen('result');
+
+  // Animate the big number
+  animateNumber(document.getElementById('result-count'), result.score);
+}
 
 // ===== Keyboard shortcuts =====
 document.addEventListener('keydown', (e) => {
@@ -292,6 +1258,22 @@ document.addEventListener('keydown', (e) => {
   }
 });
 
+// ===== Result permalink (/r/:id): open straight on the result screen =====
+async function openPermalink(id) {
+  try {
+    const res = await fetch(`/api/result/${encodeURIComponent(id)}`);
+    const result = await res.json();
+    if (!res.ok) throw new Error(result.error || 'Erreur serveur');
+    showResult(result);
+  } catch (err) {
+    history.replaceState(null, '', '/');
+    showToast(err.message);
+  }
+}
+
+const permalink = location.pathname.match(/^\/r\/([\w-]+)$/);
+if (permalink) openPermalink(permalink[1]);
+
 // ===== Preload leaderboard on title =====
 (async () => {
   // Warm up
@@ -0,0 +1,62 @@
+// Builds communes.json, the bundled index of French communes used by the
+// autocomplete and to place picked cities without calling Nominatim.
+// Source: API Découpage administratif (geo.api.gouv.fr), INSEE codes and
+// town hall coordinates from the official geographic code. Every commune must
+// come with its coordinates and department: the build fails otherwise, so that
+// the server never has to geocode a commune picked from the index.
+//
+//   npm run communes                 # writes ./communes.json
+//   npm run communes -- other.json   # writes elsewhere
+
+const fs = require('fs');
+const path = require('path');
+
+const SOURCE = 'https://geo.api.gouv.fr/communes';
+const FIELDS = 'nom,code,codesPostaux,centre,population,departement';
+const OUTPUT = path.resolve(process.argv[2] || path.join(__dirname, '..', 'communes.json'));
+
+async function main() {
+  const res = await fetch(`${SOURCE}?fields=${FIELDS}&format=json&geometry=centre`, {
+    headers: { 'User-Agent': 'GiratoireChallenge/1.0' }
+  });
+  if (!res.ok) throw new Error(`geo.api.gouv.fr HTTP ${res.status}`);
+  const items = await res.json();
+
+  const incomplete = items.filter(item => !item.centre?.coordinates || !item.departement);
+  if (incomplete.length) {
+    const codes = incomplete.slice(0, 10).map(item => item.code).join(', ');
+    throw new Error(`${incomplete.length} communes without coordinates or department (${codes}${incomplete.length > 10 ? ', …' : ''})`);
+  }
+
+  const departements = {};
+  const communes = [];
+  for (const item of items) {
+    const [lon, lat] = item.centre.coordinates;
+    departements[item.departement.code] = item.departement.nom;
+    communes.push([
+      item.code,
+      item.nom,
+      item.codesPostaux || [],
+      item.departement.code,
+      Math.round(lat * 1e5) / 1e5,
+      Math.round(lon * 1e5) / 1e5,
+      item.population || 0
+    ]);
+  }
+  communes.sort((a, b) => a[0].localeCompare(b[0]));
+
+  // One commune per line, so that dataset updates stay readable in diffs
+  const json = '{\n' +
+    `"source": ${JSON.stringify(SOURCE)},\n` +
+    `"date": ${JSON.stringify(new Date().toISOString().slice(0, 10))},\n` +
+    '"colonnes": ["code", "nom", "codesPostaux", "departement", "lat", "lon", "population"],\n' +
+    `"departements": ${JSON.stringify(departements)},\n` +
+    '"communes": [\n' + communes.map(commune => JSON.stringify(commune)).join(',\n') + '\n]\n}\n';
+  fs.writeFileSync(OUTPUT, json, 'utf8');
+  console.log(`${communes.length} communes, ${Object.keys(departements).length} départements → ${OUTPUT}`);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
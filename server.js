@@ -4,10 +4,114 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const LEADERBOARD_FILE = path.join(__dirname, 'leaderboard.json');
+const LEADERBOARD_FILE = path.join(__dirname, 'leaderboard.json'); // legacy board, imported once
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const LEADERBOARD_LOG = path.join(DATA_DIR, 'leaderboard.jsonl');
+const CLAIMS_LOG = path.join(DATA_DIR, 'claims.jsonl'); // claimed pseudos (token and PIN hashes only)
+const BANS_LOG = path.join(DATA_DIR, 'bans.jsonl');     // pseudos banned by an admin
+const DETAILS_DIR = path.join(DATA_DIR, 'results');      // route trace and roundabouts of each result, for permalinks
+const ROUNDABOUTS_LOG = path.join(DATA_DIR, 'roundabouts.jsonl'); // every roundabout ever counted, once (stats)
+const COMMUNES_FILE = process.env.COMMUNES_FILE || path.join(__dirname, 'communes.json'); // npm run communes
+// Refused in pseudos, whatever the case, accents, spaces or punctuation ("" disables)
+const PSEUDO_BLOCKLIST = (process.env.PSEUDO_BLOCKLIST || '')
+  .split(',').map(word => squashName(word)).filter(Boolean);
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+const MAX_ETAPES = parseInt(process.env.MAX_ETAPES, 10) || 3; // max via cities per route
+// Countries whose cities can be played (ISO 3166-1 alpha-2, as Nominatim's countrycodes)
+const PLAYABLE_COUNTRIES = (process.env.PLAYABLE_COUNTRIES || 'fr,be,ch,lu,es')
+  .split(',').map(code => code.trim().toLowerCase()).filter(code => /^[a-z]{2}$/.test(code));
+// Practice games return a signed result token, to be saved later without recounting
+const RESULT_SECRET = process.env.RESULT_SECRET || crypto.randomBytes(32).toString('hex'); // random: tokens die on restart
+const PREVIEW_TTL_MIN = parseInt(process.env.PREVIEW_TTL_MIN, 10) || 30;
+// Budget mode: most roundabouts within a distance budget, one board per budget
+const BUDGETS_KM = (process.env.BUDGETS_KM || '50,100,250')
+  .split(',').map(km => parseInt(km, 10)).filter(km => km > 0);
+// "Défi du jour": start city drawn each day (Paris time) from this list, with this seed
+const DAILY_SEED = process.env.DAILY_SEED || 'giratoire';
+const DAILY_CITIES = (process.env.DAILY_CITIES ||
+  'Amiens,Angers,Annecy,Avignon,Bayonne,Beauvais,Besançon,Bordeaux,Bourges,Brest,Caen,Chartres,' +
+  'Clermont-Ferrand,Dijon,Grenoble,La Rochelle,Le Mans,Lille,Limoges,Lorient,Lyon,Marseille,Metz,' +
+  'Montpellier,Mulhouse,Nancy,Nantes,Nice,Nîmes,Niort,Orléans,Pau,Perpignan,Poitiers,Quimper,Reims,' +
+  'Rennes,Rouen,Saint-Brieuc,Strasbourg,Toulouse,Tours,Troyes,Valence,Vannes')
+  .split(',').map(city => city.trim()).filter(Boolean);
+
+// --- Upstream providers (base URLs overridable to use self-hosted instances) ---
+const USER_AGENT = 'GiratoireChallenge/1.0';
+// intervalMs: minimum time between two calls, concurrency: calls in flight (whole process),
+// timeoutMs: default limit of a call, so that a stalled connection doesn't hold a slot for everyone
+const PROVIDERS = {
+  nominatim: {
+    baseUrl: process.env.NOMINATIM_URL || 'https://nominatim.openstreetmap.org',
+    intervalMs: parseInt(process.env.NOMINATIM_INTERVAL_MS ?? '1100', 10), // policy: 1 request per second
+    concurrency: parseInt(process.env.NOMINATIM_CONCURRENCY, 10) || 1,
+    timeoutMs: 15000
+  },
+  osrm: {
+    baseUrl: process.env.OSRM_URL || 'https://router.project-osrm.org',
+    intervalMs: parseInt(process.env.OSRM_INTERVAL_MS ?? '1000', 10),
+    concurrency: parseInt(process.env.OSRM_CONCURRENCY, 10) || 1,
+    timeoutMs: 30000
+  },
+  overpass: {
+    baseUrl: process.env.OVERPASS_URL || 'https://overpass-api.de/api',
+    intervalMs: parseInt(process.env.OVERPASS_INTERVAL_MS ?? '2000', 10),
+    concurrency: parseInt(process.env.OVERPASS_CONCURRENCY, 10) || 2 // slots per IP on the public instances
+  }
+};
+const RETRY_AFTER_DEFAULT_S = 10; // pause after a 429 without Retry-After
+const RETRY_AFTER_MAX_S = 120;    // longer delays fail the call (the upstream still pauses this long)
+const RATE_LIMIT_RETRIES = 2;     // 429/503 answers retried after the pause
+// Fallback Overpass instances for failed segments ("" disables them)
+const OVERPASS_MIRRORS = [
+  PROVIDERS.overpass.baseUrl,
+  ...(process.env.OVERPASS_MIRRORS ?? 'https://overpass.kumi.systems/api')
+    .split(',').map(url => url.trim()).filter(Boolean)
+];
+const OVERPASS_RETRIES = parseInt(process.env.OVERPASS_RETRIES, 10) || 3; // per failed segment
+// Roundabouts are only searched in a corridor around the route, cut in tiles
+const CORRIDOR_RADIUS_M = parseInt(process.env.CORRIDOR_RADIUS_M, 10) || 75;   // half-width of the corridor
+const CORRIDOR_SIMPLIFY_M = 15;                                                // polyline simplification tolerance
+const CORRIDOR_TILE_KM = parseFloat(process.env.CORRIDOR_TILE_KM) || 25;       // max route length per tile
+const CORRIDOR_TILE_POINTS = 80;                                               // max polyline points per tile
+const OVERPASS_MAX_POINTS = parseInt(process.env.OVERPASS_MAX_POINTS, 10) || 600; // max polyline points per query
+// A roundabout counts when the route drives on its ring, not when it merely passes by
+const TRAVERSE_TOLERANCE_M = 6;  // max distance from a route point to the ring to be "on" it
+const NEARBY_DISTANCE_M = 50;    // "passed nearby" when the ring is this close without being driven
+const ROUTE_GRID_DEG = 0.005;    // spatial index cell size (~500 m)
+
+// --- Roundabout types and scoring ---
+// Ring types are OSM ways (junction=*), point types are OSM nodes (highway=*)
+const RING_TYPES = ['roundabout', 'circular'];
+const POINT_TYPES = ['mini_roundabout', 'turning_circle'];
+const ROUNDABOUT_TYPES = [...RING_TYPES, ...POINT_TYPES];
+// Points per type, overridable with SCORE_WEIGHTS='{"mini_roundabout":0.5}'
+const SCORE_WEIGHTS = {
+  roundabout: 1,
+  circular: 1,
+  mini_roundabout: 0.5,
+  turning_circle: 0.25,
+  ...JSON.parse(process.env.SCORE_WEIGHTS || '{}')
+};
+// live: network only, record: network + save responses, replay: saved responses only
+const UPSTREAM_MODE = process.env.UPSTREAM_MODE || 'live';
+const FIXTURES_DIR = process.env.FIXTURES_DIR || path.join(__dirname, 'fixtures');
+if (!['live', 'record', 'replay'].includes(UPSTREAM_MODE)) {
+  throw new Error(`UPSTREAM_MODE invalide : ${UPSTREAM_MODE} (live, record ou replay)`);
+}
+
+// --- Upstream response cache ---
+const CACHE_DIR = path.join(DATA_DIR, 'cache');
+const CACHE_TTL_HOURS = parseFloat(process.env.CACHE_TTL_HOURS ?? '168'); // 0 disables the cache
+const CACHE_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 2000; // per namespace
+const CACHE_MAX_MB = parseFloat(process.env.CACHE_MAX_MB) || 200;             // all namespaces
+const CACHE_NAMESPACES = ['geocode', 'route', 'overpass'];
+// Record/replay must see every upstream call, so the cache only runs live
+const CACHE_ENABLED = UPSTREAM_MODE === 'live' && CACHE_TTL_HOURS > 0;
 
 // Trust proxy for hosting behind reverse proxies (Render, Railway, etc.)
 app.set('trust proxy', 1);
@@ -47,451 +151,3082 @@ const autocompleteLimiter = rateLimit({
   legacyHeaders: false
 });
 
-// --- Helpers ---
+const commitLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 10,              // 10 practice results saved per minute per IP
+  message: { error: 'Trop de requêtes ! Attends un peu avant de réessayer.' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
 
-function loadLeaderboard() {
-  if (!fs.existsSync(LEADERBOARD_FILE)) return [];
-  try {
-    return JSON.parse(fs.readFileSync(LEADERBOARD_FILE, 'utf8'));
-  } catch {
-    return [];
+const pseudoLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,                  // 10 claim/recovery attempts per IP (PIN guessing)
+  message: { error: 'Trop de tentatives. Réessaie dans quelques minutes.' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// --- Append-only log storage ---
+// One JSON record per line. Writes go through a queue, one at a time, and
+// each record is a single append + fsync: concurrent saves can't overwrite
+// each other and a crash can at worst leave a partial last line, which is
+// dropped on the next load.
+
+function createLog(file) {
+  let queue = Promise.resolve();
+
+  function load() {
+    if (!fs.existsSync(file)) return [];
+    let text = fs.readFileSync(file, 'utf8');
+    if (text && !text.endsWith('\n')) {
+      // Interrupted write: cut the partial line so the next append starts clean
+      text = text.substring(0, text.lastIndexOf('\n') + 1);
+      fs.truncateSync(file, Buffer.byteLength(text));
+      console.warn(`[Storage] Truncated a partial record at the end of ${path.basename(file)}`);
+    }
+    const records = [];
+    for (const line of text.split('\n')) {
+      if (!line) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        console.warn(`[Storage] Skipped an unreadable record in ${path.basename(file)}`);
+      }
+    }
+    return records;
+  }
+
+  function append(record) {
+    const write = queue.then(async () => {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const handle = await fs.promises.open(file, 'a');
+      try {
+        await handle.write(JSON.stringify(record) + '\n');
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+    });
+    queue = write.catch(() => {}); // a failed write must not block the next ones
+    return write;
+  }
+
+  // Atomic whole-file write (temp file + rename), used for migrations
+  function writeAll(records) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, records.map(record => JSON.stringify(record) + '\n').join(''), 'utf8');
+    fs.renameSync(tmp, file);
   }
-}
 
-function saveLeaderboard(data) {
-  fs.writeFileSync(LEADERBOARD_FILE, JSON.stringify(data, null, 2), 'utf8');
+  return { file, load, append, writeAll };
 }
 
-// Rate-limit helper for Nominatim (1 req/s policy)
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+// --- Leaderboard storage: full history of results, ranking is a query ---
+const leaderboardLog = createLog(LEADERBOARD_LOG);
+let results = []; // every result ever saved, in insertion order
+const deletedIds = new Set(); // results removed by moderation: never saved again from a practice token
+const knownRoutes = new Map(); // route key → first complete result on that route
+
+// Coordinates of a geocoded city in route keys: two decimals (about 1 km)
+const roundCoordinate = value => Math.round(value * 100) / 100;
+
+// Canonical route identity, in driving order: each city by its INSEE code, else by its
+// rounded coordinates, so that homonyms stay apart. Cities of results saved before
+// either was stored keep their normalized name: guessing a commune could pick a homonym
+function routeKey(entry) {
+  const villes = [entry.villeDepart, ...(entry.etapes || []), entry.villeArrivee];
+  return villes.map((ville, i) => {
+    if (entry.communes?.[i]) return entry.communes[i];
+    if (entry.positions?.[i]) return entry.positions[i].join(',');
+    return normalizeName(ville);
+  }).join(' > ');
 }
 
-// --- Geocode a city name via Nominatim ---
-async function geocode(cityName) {
-  const url = `https://nominatim.openstreetmap.org/search?` +
-    `q=${encodeURIComponent(cityName)}&format=json&limit=1&countrycodes=fr`;
-  const res = await fetch(url, {
-    headers: { 'User-Agent': 'GiratoireChallenge/1.0' }
-  });
-  const data = await res.json();
-  if (!data.length) throw new Error(`Ville introuvable : ${cityName}`);
-  return {
-    lat: parseFloat(data[0].lat),
-    lon: parseFloat(data[0].lon),
-    displayName: data[0].display_name.split(',')[0]
-  };
+// Results saved before ids existed get a stable one derived from their content
+function legacyId(entry) {
+  return crypto.createHash('sha1').update(JSON.stringify(entry)).digest('hex').substring(0, 16);
 }
 
-// --- Get route via OSRM ---
-async function getRoute(fromLon, fromLat, toLon, toLat) {
-  const url = `https://router.project-osrm.org/route/v1/driving/` +
-    `${fromLon},${fromLat};${toLon},${toLat}?overview=full&geometries=geojson`;
-  const res = await fetch(url, {
-    headers: { 'User-Agent': 'GiratoireChallenge/1.0' }
-  });
-  const data = await res.json();
-  if (data.code !== 'Ok' || !data.routes.length) {
-    throw new Error('Impossible de calculer un itinéraire');
+function indexResult(entry) {
+  entry.id ??= legacyId(entry);
+  entry.cleTrajet = routeKey(entry); // recomputed: older keys were made of names
+  results.push(entry);
+  if (entry.complet !== false && !knownRoutes.has(entry.cleTrajet)) {
+    knownRoutes.set(entry.cleTrajet, entry);
   }
-  const route = data.routes[0];
-  return {
-    geometry: route.geometry,
-    distance: route.distance,    // meters
-    duration: route.duration     // seconds
-  };
 }
 
-// --- Count roundabouts along a route using Overpass API (bbox segments) ---
-
-function computeSegmentBboxes(coords, maxSegments = 12) {
-  // Split route coordinates into segments and compute a bbox for each
-  const segmentSize = Math.max(1, Math.ceil(coords.length / maxSegments));
-  const bboxes = [];
-  const buffer = 0.003; // ~300m buffer
-
-  for (let i = 0; i < coords.length; i += segmentSize) {
-    const segment = coords.slice(i, i + segmentSize + 1); // overlap 1 point
-    let minLat = Infinity, maxLat = -Infinity, minLon = Infinity, maxLon = -Infinity;
-    for (const [lon, lat] of segment) {
-      if (lat < minLat) minLat = lat;
-      if (lat > maxLat) maxLat = lat;
-      if (lon < minLon) minLon = lon;
-      if (lon > maxLon) maxLon = lon;
-    }
-    bboxes.push({
-      s: minLat - buffer,
-      n: maxLat + buffer,
-      w: minLon - buffer,
-      e: maxLon + buffer
-    });
+// Discovery credit follows the history: recomputed once a result is deleted or edited
+function reindexRoutes() {
+  knownRoutes.clear();
+  for (const entry of results) {
+    if (entry.complet !== false && !knownRoutes.has(entry.cleTrajet)) knownRoutes.set(entry.cleTrajet, entry);
   }
-  return bboxes;
 }
 
-function deduplicateRoundabouts(elements) {
-  const roundaboutWays = elements.filter(
-    el => el.type === 'way' && (el.tags?.junction === 'roundabout' || el.tags?.junction === 'circular')
-  );
-
-  // Group by shared nodes — ways sharing any node belong to the same roundabout
-  const nodeToGroup = new Map();
-  let groupId = 0;
-  const wayToGroup = new Map();
-
-  for (const way of roundaboutWays) {
-    let existingGroup = null;
-    for (const nodeId of way.nodes) {
-      if (nodeToGroup.has(nodeId)) {
-        existingGroup = nodeToGroup.get(nodeId);
-        break;
-      }
-    }
-    if (existingGroup !== null) {
-      wayToGroup.set(way.id, existingGroup);
-      for (const nodeId of way.nodes) {
-        nodeToGroup.set(nodeId, existingGroup);
-      }
-    } else {
-      const gid = groupId++;
-      wayToGroup.set(way.id, gid);
-      for (const nodeId of way.nodes) {
-        nodeToGroup.set(nodeId, gid);
-      }
+function loadResults() {
+  // One-time migration of the former leaderboard.json (top 100 only)
+  if (!fs.existsSync(LEADERBOARD_LOG) && fs.existsSync(LEADERBOARD_FILE)) {
+    try {
+      const legacy = JSON.parse(fs.readFileSync(LEADERBOARD_FILE, 'utf8'));
+      leaderboardLog.writeAll(legacy.map(entry => ({ op: 'add', entry })));
+      console.log(`[Storage] Migrated ${legacy.length} results from leaderboard.json`);
+    } catch (err) {
+      // Never start from an empty board because of an unreadable legacy file
+      throw new Error(`Migration de leaderboard.json impossible : ${err.message}`);
     }
   }
 
-  // Return groups with their representative ways
-  const groups = new Map();
-  for (const way of roundaboutWays) {
-    const gid = wayToGroup.get(way.id);
-    if (!groups.has(gid)) {
-      groups.set(gid, []);
+  results = [];
+  deletedIds.clear();
+  for (const record of leaderboardLog.load()) {
+    if (record.op === 'add') {
+      indexResult(record.entry);
+    } else if (record.op === 'delete') {
+      deletedIds.add(record.id);
+    } else if (record.op === 'update') {
+      const entry = results.find(e => e.id === record.id);
+      if (entry) Object.assign(entry, record.changes);
     }
-    groups.get(gid).push(way);
   }
-  return groups; // Map<groupId, way[]>
+  results = results.filter(entry => !deletedIds.has(entry.id));
+  reindexRoutes();
 }
 
-// --- Haversine distance in meters between two points ---
-function haversineMeters(lat1, lon1, lat2, lon2) {
-  const R = 6371000;
-  const toRad = d => d * Math.PI / 180;
-  const dLat = toRad(lat2 - lat1);
-  const dLon = toRad(lon2 - lon1);
-  const a = Math.sin(dLat / 2) ** 2 +
-    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
-  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+async function addResult(entry) {
+  await leaderboardLog.append({ op: 'add', entry });
+  indexResult(entry);
+  return entry;
 }
 
-// --- Minimum distance from a point to a polyline segment ---
-function distToSegment(px, py, ax, ay, bx, by) {
-  const dx = bx - ax, dy = by - ay;
-  const lenSq = dx * dx + dy * dy;
-  if (lenSq === 0) return Math.hypot(px - ax, py - ay);
-  let t = ((px - ax) * dx + (py - ay) * dy) / lenSq;
-  t = Math.max(0, Math.min(1, t));
-  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+// Moderation: removed from the boards, the log keeps the trace
+async function deleteResult(id) {
+  const entry = results.find(e => e.id === id);
+  if (!entry) return null;
+  await leaderboardLog.append({ op: 'delete', id, date: new Date().toISOString() });
+  deletedIds.add(id);
+  results = results.filter(e => e !== entry);
+  reindexRoutes();
+  return entry;
+}
+
+async function updateResult(id, changes) {
+  const entry = results.find(e => e.id === id);
+  if (!entry) return null;
+  await leaderboardLog.append({ op: 'update', id, changes, date: new Date().toISOString() });
+  Object.assign(entry, changes);
+  reindexRoutes();
+  return entry;
 }
 
-// --- Check if a roundabout centroid is close to the route polyline ---
-function isNearRoute(centroidLat, centroidLon, routeCoords, maxDistMeters = 50) {
-  // Quick check: sample every N points for performance
-  const step = Math.max(1, Math.floor(routeCoords.length / 500));
-  let minDist = Infinity;
+// --- Result details: trace and roundabouts, one file per result ---
+// Too heavy for the log, which is held in memory: only permalinks read them back
 
-  for (let i = 0; i < routeCoords.length - 1; i += step) {
-    const j = Math.min(i + step, routeCoords.length - 1);
-    const [lon1, lat1] = routeCoords[i];
-    const [lon2, lat2] = routeCoords[j];
+function detailsFile(id) {
+  return path.join(DETAILS_DIR, `${id}.json`);
+}
 
-    // Rough degree-distance check first (fast rejection, ~0.001° ≈ 100m)
-    const threshold = 0.002;
-    const midLat = (lat1 + lat2) / 2, midLon = (lon1 + lon2) / 2;
-    if (Math.abs(centroidLat - midLat) > 0.05 && Math.abs(centroidLon - midLon) > 0.05) continue;
+async function saveDetails(id, { trace, rondsPoints, rondsPointsProches }) {
+  await fs.promises.mkdir(DETAILS_DIR, { recursive: true });
+  await fs.promises.writeFile(detailsFile(id), JSON.stringify({ trace, rondsPoints, rondsPointsProches }), 'utf8');
+}
 
-    const dist = haversineMeters(
-      centroidLat, centroidLon,
-      lat1 + (lat2 - lat1) * 0.5, lon1 + (lon2 - lon1) * 0.5
-    );
-    if (dist < minDist) minDist = dist;
-    if (minDist < maxDistMeters) return true;
+// null for results saved before details were kept
+function loadDetails(id) {
+  try {
+    return JSON.parse(fs.readFileSync(detailsFile(id), 'utf8'));
+  } catch {
+    return null;
   }
+}
 
-  // Detailed check on nearby segments
-  for (let i = 0; i < routeCoords.length - 1; i++) {
-    const [lon1, lat1] = routeCoords[i];
-    const [lon2, lat2] = routeCoords[i + 1];
+// --- Roundabouts registry: every roundabout counted, once, referenced by the results ---
+// Results keep the OSM keys of their roundabouts (idsRondsPoints); the
+// registry holds what the stats show about each one.
+const roundaboutsLog = createLog(ROUNDABOUTS_LOG);
+const roundabouts = new Map(); // OSM key ('w<id>' ring, 'n<id>' node) → { id, type, nom, ref, lat, lon, pays, departement }
 
-    // Quick lat/lon rejection
-    const segMinLat = Math.min(lat1, lat2) - 0.001;
-    const segMaxLat = Math.max(lat1, lat2) + 0.001;
-    const segMinLon = Math.min(lon1, lon2) - 0.001;
-    const segMaxLon = Math.max(lon1, lon2) + 0.001;
-    if (centroidLat < segMinLat || centroidLat > segMaxLat ||
-        centroidLon < segMinLon || centroidLon > segMaxLon) continue;
+// A ring split into several ways is known by its lowest way id, whatever the way order
+function roundaboutKey(rp) {
+  return rp.nodeId ? `n${rp.nodeId}` : `w${Math.min(...rp.wayIds)}`;
+}
 
-    // Project onto segment and compute haversine
-    const flatDist = distToSegment(centroidLon, centroidLat, lon1, lat1, lon2, lat2);
-    // Convert flat degree distance to approximate meters
-    const approxMeters = flatDist * 111320 * Math.cos(centroidLat * Math.PI / 180);
-    if (approxMeters < maxDistMeters) return true;
-  }
+// Department from the communes index, for roundabouts in France (null without the index)
+function roundaboutRecord(rp) {
+  const commune = !rp.pays || rp.pays === 'fr' ? nearestCommune(rp.lat, rp.lon) : null;
+  return {
+    id: roundaboutKey(rp),
+    type: rp.type,
+    nom: rp.name || null,
+    ref: rp.ref || null,
+    lat: rp.lat,
+    lon: rp.lon,
+    pays: commune ? 'fr' : rp.pays || null,
+    departement: commune ? commune.departement : null
+  };
+}
 
-  return false;
+// Roundabouts seen for the first time are added to the registry
+async function registerRoundabouts(rondsPoints) {
+  const writes = [];
+  for (const rp of rondsPoints) {
+    const key = roundaboutKey(rp);
+    if (roundabouts.has(key)) continue;
+    const record = roundaboutRecord(rp);
+    roundabouts.set(key, record);
+    writes.push(roundaboutsLog.append(record)); // the log writes them one at a time
+  }
+  await Promise.all(writes);
 }
 
-async function queryOverpassBboxes(bboxes) {
-  // Build a single Overpass query: union of bbox filters
-  const bboxFilters = bboxes.map(b =>
-    `  way["junction"="roundabout"](${b.s},${b.w},${b.n},${b.e});\n` +
-    `  way["junction"="circular"](${b.s},${b.w},${b.n},${b.e});`
-  ).join('\n');
+function loadRoundabouts() {
+  roundabouts.clear();
+  for (const record of roundaboutsLog.load()) roundabouts.set(record.id, record);
+
+  // Results saved with details but before the registry: their roundabouts are read back
+  let backfilled = 0;
+  for (const entry of results) {
+    if (entry.idsRondsPoints) continue;
+    const details = loadDetails(entry.id);
+    if (!details) continue;
+    entry.idsRondsPoints = details.rondsPoints.map(roundaboutKey);
+    registerRoundabouts(details.rondsPoints).catch(err => console.error('[Roundabouts] Registry write failed:', err.message));
+    backfilled++;
+  }
+  console.log(`[Roundabouts] ${roundabouts.size} roundabouts known${backfilled ? `, ${backfilled} results read back from their details` : ''}`);
+}
 
-  const query = `[out:json][timeout:90][maxsize:10485760];\n(\n${bboxFilters}\n);\nout body;\n>;\nout skel qt;`;
+// --- Pseudo moderation: admin bans and configurable blocklist ---
+const bansLog = createLog(BANS_LOG);
+const bans = new Map(); // normalized pseudo → { pseudo, date }
 
-  console.log(`[Overpass] Querying ${bboxes.length} bbox segments (query length: ${query.length})`);
+function loadBans() {
+  bans.clear();
+  for (const record of bansLog.load()) {
+    if (record.op === 'ban') bans.set(normalizeName(record.pseudo), { pseudo: record.pseudo, date: record.date });
+    else if (record.op === 'unban') bans.delete(normalizeName(record.pseudo));
+  }
+}
 
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), 120000);
+async function setBan(pseudo, banned) {
+  const record = { op: banned ? 'ban' : 'unban', pseudo, date: new Date().toISOString() };
+  await bansLog.append(record);
+  if (banned) bans.set(normalizeName(pseudo), { pseudo, date: record.date });
+  else bans.delete(normalizeName(pseudo));
+}
 
-  try {
-    const res = await fetch('https://overpass-api.de/api/interpreter', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'User-Agent': 'GiratoireChallenge/1.0'
-      },
-      body: `data=${encodeURIComponent(query)}`,
-      signal: controller.signal
-    });
+function isBanned(pseudo) {
+  return bans.has(normalizeName(pseudo));
+}
 
-    if (!res.ok) {
-      const text = await res.text();
-      console.error('[Overpass] HTTP error:', res.status, text.substring(0, 200));
-      throw new Error(`Overpass API HTTP ${res.status}`);
-    }
+// Letters and digits only: "Gros-Mot", "gros mot" and "grosmot" all match "grosmot"
+function squashName(str) {
+  return normalizeName(str).replace(/[^a-z0-9]/g, '');
+}
 
-    const text = await res.text();
-    return JSON.parse(text);
-  } finally {
-    clearTimeout(timeout);
-  }
+// Why a pseudo can't be played or claimed, null when it can
+function pseudoRefusal(pseudo) {
+  if (isBanned(pseudo)) return 'Ce pseudo est banni';
+  const squashed = squashName(pseudo);
+  if (PSEUDO_BLOCKLIST.some(word => squashed.includes(word))) return 'Ce pseudo n\'est pas autorisé, choisis-en un autre';
+  return null;
 }
 
-async function countRoundabouts(geometry) {
-  const coords = geometry.coordinates; // [lon, lat] pairs
-  console.log(`[Route] ${coords.length} coordinate points`);
+// --- Pseudo ownership: a claimed pseudo can only be played with its token ---
+const claimsLog = createLog(CLAIMS_LOG);
+const claims = new Map(); // normalized pseudo → { pseudo, tokenHash, pin: { salt, hash } | null, date }
+const PIN_MIN_LENGTH = 6;
 
-  // Split route into bbox segments (max 12 segments for one query)
-  const bboxes = computeSegmentBboxes(coords, 12);
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
 
-  // If too many segments, split into batches
-  const BATCH_SIZE = 12;
-  let allElements = [];
+function hashPin(pin, salt) {
+  return crypto.scryptSync(pin, salt, 32).toString('hex');
+}
 
-  for (let i = 0; i < bboxes.length; i += BATCH_SIZE) {
-    const batch = bboxes.slice(i, i + BATCH_SIZE);
-    try {
-      const data = await queryOverpassBboxes(batch);
-      allElements.push(...data.elements);
-    } catch (err) {
-      console.error(`[Overpass] Batch ${i / BATCH_SIZE + 1} failed:`, err.message);
-      // Retry once with smaller batches
-      for (const singleBbox of batch) {
-        try {
-          await delay(5000); // Longer delay for rate-limited retries
-          const data = await queryOverpassBboxes([singleBbox]);
-          allElements.push(...data.elements);
-        } catch (retryErr) {
-          console.error('[Overpass] Single bbox retry also failed:', retryErr.message);
-        }
-      }
-    }
-    // Delay between batches to avoid rate limits
-    if (i + BATCH_SIZE < bboxes.length) await delay(2000);
-  }
+function sameHash(a, b) {
+  const x = Buffer.from(a, 'hex');
+  const y = Buffer.from(b, 'hex');
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
 
-  // Deduplicate (same way can appear in overlapping bboxes)
-  const uniqueElements = new Map();
-  for (const el of allElements) {
-    if (el.id && !uniqueElements.has(`${el.type}-${el.id}`)) {
-      uniqueElements.set(`${el.type}-${el.id}`, el);
+function loadClaims() {
+  claims.clear();
+  for (const record of claimsLog.load()) {
+    const key = normalizeName(record.pseudo);
+    if (record.op === 'claim') {
+      claims.set(key, { pseudo: record.pseudo, tokenHash: record.tokenHash, pin: record.pin, date: record.date });
+    } else if (record.op === 'token' && claims.has(key)) {
+      claims.get(key).tokenHash = record.tokenHash;
     }
   }
+}
 
-  const elements = [...uniqueElements.values()];
+// Unclaimed pseudos stay open to everyone
+function ownsPseudo(pseudo, token) {
+  const claim = claims.get(normalizeName(pseudo));
+  return !claim || (typeof token === 'string' && sameHash(hashToken(token), claim.tokenHash));
+}
 
-  // Build node position lookup (for computing roundabout centroids)
-  const nodePositions = new Map();
-  for (const el of elements) {
-    if (el.type === 'node' && el.lat !== undefined && el.lon !== undefined) {
-      nodePositions.set(el.id, { lat: el.lat, lon: el.lon });
-    }
+async function claimPseudo(pseudo, pin) {
+  const token = crypto.randomBytes(24).toString('base64url');
+  const salt = crypto.randomBytes(16).toString('hex');
+  const record = {
+    op: 'claim',
+    pseudo,
+    tokenHash: hashToken(token),
+    pin: pin ? { salt, hash: hashPin(pin, salt) } : null,
+    date: new Date().toISOString()
+  };
+  // Reserved before the write so that two concurrent claims can't both succeed
+  const key = normalizeName(pseudo);
+  claims.set(key, { pseudo, tokenHash: record.tokenHash, pin: record.pin, date: record.date });
+  try {
+    await claimsLog.append(record);
+  } catch (err) {
+    claims.delete(key);
+    throw err;
   }
+  return token;
+}
 
-  // Deduplicate roundabouts into groups
-  const groups = deduplicateRoundabouts(elements);
-  console.log(`[Overpass] ${groups.size} roundabout groups in bboxes (before proximity filter)`);
+// Recovery with the PIN issues a new token: the previous browser loses the pseudo
+async function recoverPseudo(pseudo, secret) {
+  const claim = claims.get(normalizeName(pseudo));
+  if (!claim || typeof secret !== 'string' || !secret) return null;
+  if (sameHash(hashToken(secret), claim.tokenHash)) return secret;
+  if (!claim.pin || !sameHash(hashPin(secret, claim.pin.salt), claim.pin.hash)) return null;
+
+  const token = crypto.randomBytes(24).toString('base64url');
+  const tokenHash = hashToken(token);
+  await claimsLog.append({ op: 'token', pseudo: claim.pseudo, tokenHash, date: new Date().toISOString() });
+  claim.tokenHash = tokenHash;
+  return token;
+}
 
-  // Filter: only keep roundabouts whose centroid is within 50m of the route
-  let nearCount = 0;
-  for (const [gid, ways] of groups) {
-    // Compute centroid from all nodes of all ways in this group
-    let sumLat = 0, sumLon = 0, count = 0;
-    for (const way of ways) {
-      for (const nodeId of way.nodes) {
-        const pos = nodePositions.get(nodeId);
-        if (pos) {
-          sumLat += pos.lat;
-          sumLon += pos.lon;
-          count++;
-        }
-      }
-    }
-    if (count === 0) continue;
-    const centroidLat = sumLat / count;
-    const centroidLon = sumLon / count;
+// Ranked leaderboard: complete results only, best first (oldest wins ties)
+const SORT_KEYS = {
+  count: entryScore,
+  ratio: entry => entry.ratio
+};
 
-    if (isNearRoute(centroidLat, centroidLon, coords, 50)) {
-      nearCount++;
-    }
-  }
+// Each game mode has its own boards (results saved before modes existed are classic)
+function entryMode(entry) {
+  return entry.mode || 'classic';
+}
 
-  console.log(`[Result] ${nearCount} roundabouts actually on route (filtered from ${groups.size})`);
-  return nearCount;
+// Rows kept per board: by default one per player and route, their best for the sort key
+const playerRoute = entry => `${normalizeName(entry.pseudo)}|${entry.cleTrajet}`;
+
+// `extra`: unsaved results ranked as if they had been saved (practice previews)
+// `mode: null` ranks every mode together
+function rankedResults({ sort = 'count', mode = 'classic', filter = () => true, bestOf = playerRoute, extra = [] } = {}) {
+  const key = SORT_KEYS[sort];
+  const seen = new Set();
+  return [...results, ...extra]
+    .filter(entry => entry.complet !== false && (mode === null || entryMode(entry) === mode) && !isBanned(entry.pseudo) && filter(entry))
+    .sort((a, b) => key(b) - key(a) || a.date.localeCompare(b.date))
+    .filter(entry => {
+      const best = bestOf(entry);
+      if (seen.has(best)) return false;
+      seen.add(best);
+      return true;
+    });
 }
 
-// --- Input sanitization helper ---
-function sanitize(str) {
-  return str.replace(/[<>"'&;]/g, '').trim();
+// A result as lists show it (roundabout keys are for the stats only)
+function publicEntry({ idsRondsPoints, ...entry }) {
+  return entry;
 }
 
-// --- API: Autocomplete city names via Nominatim ---
-app.get('/api/autocomplete', autocompleteLimiter, async (req, res) => {
-  try {
-    const q = (req.query.q || '').trim();
-    if (q.length < 2) return res.json([]);
+// Leaderboard row: result plus whether it discovered its route
+function boardEntry(entry, rank) {
+  return { ...publicEntry(entry), rank, decouverte: knownRoutes.get(entry.cleTrajet) === entry };
+}
 
-    const url = `https://nominatim.openstreetmap.org/search?` +
-      `q=${encodeURIComponent(q)}&format=json&limit=8&countrycodes=fr` +
-      `&addressdetails=1&dedupe=1`;
-    const response = await fetch(url, {
-      headers: { 'User-Agent': 'GiratoireChallenge/1.0' }
-    });
-    const data = await response.json();
+// --- Leaderboard views: sort key × distance class × time window × countries ---
+const DISTANCE_CLASSES = {
+  all: () => true,
+  short: km => km < 50,
+  medium: km => km >= 50 && km <= 300,
+  long: km => km > 300
+};
+const PERIODS = ['all', 'today', 'week'];
+// Results saved before multi-country play have no countries: unknown, they are in neither
+// scope until an admin recount (a legacy Beauvais → Arbon isn't domestic)
+const SCOPES = {
+  all: () => true,
+  domestic: entry => entry.pays?.length === 1,
+  international: entry => entry.pays?.length > 1
+};
+const MAX_PAGE_SIZE = 50;
+
+// Calendar date (YYYY-MM-DD) in Paris time — the game's "today"
+const PARIS_DATE = new Intl.DateTimeFormat('en-CA', { timeZone: 'Europe/Paris' }); // built once: costly
+function parisDate(date = new Date()) {
+  return PARIS_DATE.format(date);
+}
 
-    // Filter to keep only places (cities, towns, villages)
-    const placeTypes = ['city', 'town', 'village', 'municipality'];
-    const results = data
-      .filter(item => {
-        const placeType = item.address?.city || item.address?.town || item.address?.village || item.address?.municipality;
-        return placeType || item.type === 'city' || item.type === 'administrative' || item.class === 'place';
-      })
-      .map(item => ({
-        name: item.address?.city || item.address?.town || item.address?.village || item.address?.municipality || item.display_name.split(',')[0],
-        department: item.address?.county || item.address?.state || '',
-        displayName: item.display_name.split(',').slice(0, 2).join(','),
-        lat: parseFloat(item.lat),
-        lon: parseFloat(item.lon)
-      }));
+// Instant at which the Paris day `date` begins (UTC+1 in winter, UTC+2 in summer)
+function parisDayStart(date) {
+  const midnight = new Date(`${date}T00:00:00Z`);
+  for (const offsetHours of [1, 2]) {
+    const start = new Date(midnight.getTime() - offsetHours * 3600 * 1000);
+    if (parisDate(start) === date && parisDate(new Date(start.getTime() - 1)) !== date) return start;
+  }
+  return midnight;
+}
 
-    // Deduplicate by name + department
-    const seen = new Set();
-    const unique = results.filter(r => {
-      const key = `${r.name}-${r.department}`;
-      if (seen.has(key)) return false;
-      seen.add(key);
-      return true;
-    });
+// Start of the time window (ISO instant, compared as a string with the results' dates),
+// in Paris time; weeks start on Monday
+function periodStart(period) {
+  if (period === 'all') return null;
+  const day = new Date(`${parisDate()}T12:00:00Z`);
+  if (period === 'week') day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return parisDayStart(day.toISOString().substring(0, 10)).toISOString();
+}
 
-    res.json(unique);
-  } catch (err) {
-    console.error('Autocomplete error:', err);
-    res.json([]);
-  }
-});
+// `budget` (km) switches to that budget's board instead of the classic one
+function queryLeaderboard({ sort = 'count', distance = 'all', period = 'all', scope = 'all', budget = null, page = 1, pageSize = 20 }) {
+  const since = periodStart(period);
+  const inDistance = DISTANCE_CLASSES[distance];
+  const inScope = SCOPES[scope];
+  const ranked = rankedResults({
+    sort,
+    mode: budget ? 'budget' : 'classic',
+    filter: entry => inDistance(entry.distanceKm) && (!since || entry.date >= since) &&
+      inScope(entry) && (!budget || entry.budgetKm === budget)
+  });
+  const pages = Math.max(1, Math.ceil(ranked.length / pageSize));
+  const start = (page - 1) * pageSize;
+  return {
+    sort, distance, period, scope, budget, page, pageSize, pages,
+    total: ranked.length,
+    entries: ranked.slice(start, start + pageSize).map((entry, i) => boardEntry(entry, start + i + 1))
+  };
+}
 
-// --- API: Search for roundabouts on route ---
-app.post('/api/challenge', challengeLimiter, async (req, res) => {
-  try {
-    let { pseudo, villeDepart, villeArrivee } = req.body;
-    if (!pseudo || !villeDepart || !villeArrivee) {
-      return res.status(400).json({ error: 'Pseudo, ville de départ et ville d\'arrivée requis' });
+// The board a result competes on, given its mode
+function boardFor(entry, extra = []) {
+  if (entry.mode === 'daily') return dailyBoard(entry.defi, extra);
+  if (entry.mode === 'budget') return rankedResults({ mode: 'budget', filter: e => e.budgetKm === entry.budgetKm, extra });
+  return rankedResults({ extra });
+}
+
+// --- Stats: roundabouts, departments, routes and players over every saved game ---
+const STATS_LIMIT = 20;
+const STATS_MAX_LIMIT = 100;
+const DENSEST_MIN_KM = 20; // shorter routes make meaningless ratios
+
+// Saved games shown publicly (banned pseudos' are hidden), incomplete counts included
+function statsResults() {
+  return results.filter(entry => !isBanned(entry.pseudo));
+}
+
+// Games and players through each roundabout (a roundabout driven twice in a game counts once)
+function roundaboutCrossings(entries) {
+  const crossings = new Map(); // OSM key → { passages, joueurs: Set of normalized pseudos }
+  for (const entry of entries) {
+    for (const key of new Set(entry.idsRondsPoints || [])) {
+      if (!crossings.has(key)) crossings.set(key, { passages: 0, joueurs: new Set() });
+      const crossing = crossings.get(key);
+      crossing.passages++;
+      crossing.joueurs.add(normalizeName(entry.pseudo));
     }
+  }
+  return crossings;
+}
 
-    // Sanitize inputs
-    pseudo = sanitize(String(pseudo)).substring(0, 20);
-    villeDepart = sanitize(String(villeDepart)).substring(0, 100);
-    villeArrivee = sanitize(String(villeArrivee)).substring(0, 100);
+function statsTotals(entries) {
+  const crossings = roundaboutCrossings(entries);
+  return {
+    parties: entries.length,
+    joueurs: new Set(entries.map(entry => normalizeName(entry.pseudo))).size,
+    passages: entries.reduce((sum, entry) => sum + entry.nbRondPoints, 0),
+    rondsPointsDistincts: crossings.size,
+    distanceKm: entries.reduce((sum, entry) => sum + entry.distanceKm, 0)
+  };
+}
 
-    if (!pseudo || !villeDepart || !villeArrivee) {
-      return res.status(400).json({ error: 'Entrées invalides' });
+const STATS_VIEWS = {
+  // Roundabouts crossed in the most games
+  rondspoints: (entries, limit) => [...roundaboutCrossings(entries)]
+    .filter(([key]) => roundabouts.has(key))
+    .map(([key, { passages, joueurs }]) => ({ ...roundabouts.get(key), passages, joueurs: joueurs.size }))
+    .sort((a, b) => b.passages - a.passages || b.joueurs - a.joueurs)
+    .slice(0, limit),
+
+  // Roundabouts of each department (from the communes index), and how often they were crossed
+  departements: (entries, limit) => {
+    const byDepartment = new Map();
+    for (const [key, { passages }] of roundaboutCrossings(entries)) {
+      const code = roundabouts.get(key)?.departement;
+      if (!code) continue;
+      if (!byDepartment.has(code)) byDepartment.set(code, { code, nom: departementNames.get(code) || null, rondsPoints: 0, passages: 0 });
+      const department = byDepartment.get(code);
+      department.rondsPoints++;
+      department.passages += passages;
     }
+    return [...byDepartment.values()]
+      .sort((a, b) => b.passages - a.passages || b.rondsPoints - a.rondsPoints)
+      .slice(0, limit);
+  },
+
+  // Densest routes ever found: best ratio per route, whatever the mode
+  trajets: (entries, limit) => rankedResults({
+    sort: 'ratio',
+    mode: null,
+    bestOf: entry => entry.cleTrajet,
+    filter: entry => entry.distanceKm >= DENSEST_MIN_KM
+  }).slice(0, limit).map((entry, i) => boardEntry(entry, i + 1)),
+
+  // Totals of each player, most roundabouts first
+  joueurs: (entries, limit) => {
+    const byPlayer = new Map();
+    for (const entry of entries) {
+      const key = normalizeName(entry.pseudo);
+      if (!byPlayer.has(key)) byPlayer.set(key, { pseudo: entry.pseudo, parties: 0, rondsPoints: 0, distincts: new Set(), score: 0, distanceKm: 0 });
+      const player = byPlayer.get(key);
+      player.pseudo = entry.pseudo; // latest spelling
+      player.parties++;
+      player.rondsPoints += entry.nbRondPoints;
+      for (const id of entry.idsRondsPoints || []) player.distincts.add(id);
+      player.score += entryScore(entry);
+      player.distanceKm += entry.distanceKm;
+    }
+    return [...byPlayer.values()]
+      .map(player => ({ ...player, distincts: player.distincts.size, score: Math.round(player.score * 100) / 100 }))
+      .sort((a, b) => b.rondsPoints - a.rondsPoints || b.parties - a.parties)
+      .slice(0, limit);
+  }
+};
+
+// --- Player profiles and achievements ---
+// Achievements are recomputed from the player's complete results, in date order:
+// each one is unlocked by the first result that reaches it. `progress` holds the
+// player's totals up to that result, included.
+const ACHIEVEMENTS = [
+  { id: 'premier-tour', titre: 'PREMIER TOUR', description: 'Terminer une première partie', test: (entry, progress) => progress.parties >= 1 },
+  { id: 'habitue', titre: 'HABITUÉ', description: 'Terminer 10 parties', test: (entry, progress) => progress.parties >= 10 },
+  { id: 'tournis', titre: 'TOURNIS', description: '50 ronds-points ou plus en une partie', test: entry => entry.nbRondPoints >= 50 },
+  { id: 'centurion', titre: 'CENTURION', description: '100 ronds-points ou plus en une partie', test: entry => entry.nbRondPoints >= 100 },
+  {
+    id: 'centrifugeuse',
+    titre: 'CENTRIFUGEUSE',
+    description: `Plus de 40 points aux 100 km, sur ${DENSEST_MIN_KM} km au moins`,
+    test: entry => entry.ratio > 40 && entry.distanceKm >= DENSEST_MIN_KM
+  },
+  { id: 'grand-tour', titre: 'GRAND TOUR', description: 'Un trajet de 500 km ou plus', test: entry => entry.distanceKm >= 500 },
+  { id: 'mille-tours', titre: 'MILLE TOURS', description: '1000 ronds-points au total', test: (entry, progress) => progress.rondsPoints >= 1000 },
+  { id: 'tour-de-france', titre: 'TOUR DE FRANCE', description: 'Passer par 10 départements', test: (entry, progress) => progress.departements.size >= 10 },
+  { id: 'sans-frontieres', titre: 'SANS FRONTIÈRES', description: 'Un trajet international', test: entry => entry.pays?.length > 1 },
+  { id: 'explorateur', titre: 'EXPLORATEUR', description: 'Découvrir un nouveau trajet', test: (entry, progress) => progress.decouvertes >= 1 },
+  { id: 'defi-releve', titre: 'DÉFI RELEVÉ', description: 'Terminer un défi du jour', test: entry => entry.mode === 'daily' }
+];
+
+function samePlayer(pseudo) {
+  const key = normalizeName(pseudo);
+  return entry => normalizeName(entry.pseudo) === key;
+}
+
+// Departments of the cities picked from the index and of the roundabouts crossed
+function entryDepartments(entry) {
+  const codes = new Set();
+  for (const code of entry.communes || []) {
+    const commune = code && communesByCode.get(code);
+    if (commune) codes.add(commune.departement);
+  }
+  for (const key of entry.idsRondsPoints || []) {
+    const code = roundabouts.get(key)?.departement;
+    if (code) codes.add(code);
+  }
+  return codes;
+}
 
-    if (pseudo.length > 20) {
-      return res.status(400).json({ error: 'Pseudo trop long (max 20 caractères)' });
+// Achievement id → { date, idResultat } of the result that unlocked it; `extra` as in rankedResults
+function playerAchievements(pseudo, extra = []) {
+  const history = [...results, ...extra]
+    .filter(entry => entry.complet !== false && samePlayer(pseudo)(entry))
+    .sort((a, b) => a.date.localeCompare(b.date));
+  const progress = { parties: 0, rondsPoints: 0, departements: new Set(), decouvertes: 0 };
+  const unlocked = new Map();
+  for (const entry of history) {
+    progress.parties++;
+    progress.rondsPoints += entry.nbRondPoints;
+    for (const code of entryDepartments(entry)) progress.departements.add(code);
+    const discovered = extra.includes(entry) ? !knownRoutes.has(entry.cleTrajet) : knownRoutes.get(entry.cleTrajet) === entry;
+    if (discovered) progress.decouvertes++;
+    for (const achievement of ACHIEVEMENTS) {
+      if (!unlocked.has(achievement.id) && achievement.test(entry, progress)) {
+        unlocked.set(achievement.id, { date: entry.date, idResultat: entry.id });
+      }
     }
+  }
+  return unlocked;
+}
 
-    // 1. Geocode cities
-    const from = await geocode(villeDepart);
-    await delay(1100); // Nominatim rate limit
-    const to = await geocode(villeArrivee);
+// Achievements unlocked by this result (a preview: those it would unlock once saved)
+function unlockedBy(entry, { preview = false } = {}) {
+  const unlocked = playerAchievements(entry.pseudo, preview ? [entry] : []);
+  return ACHIEVEMENTS
+    .filter(achievement => unlocked.get(achievement.id)?.idResultat === entry.id)
+    .map(({ id, titre, description }) => ({ id, titre, description }));
+}
 
-    if (from.displayName === to.displayName) {
-      return res.status(400).json({ error: 'Les deux villes doivent être différentes !' });
+// Profile of a player: totals, personal bests, departments, achievements and a page of history
+function playerProfile(pseudo, { page = 1, pageSize = 20 } = {}) {
+  const played = results.filter(samePlayer(pseudo));
+  if (!played.length) return null;
+  const complete = played.filter(entry => entry.complet !== false);
+  const best = key => complete.reduce((top, entry) => (!top || key(entry) > key(top) ? entry : top), null);
+  const record = entry => entry && boardEntry(entry, null);
+
+  const departements = new Set();
+  for (const entry of complete) for (const code of entryDepartments(entry)) departements.add(code);
+  const unlocked = playerAchievements(pseudo);
+
+  const history = [...played].sort((a, b) => b.date.localeCompare(a.date));
+  const pages = Math.max(1, Math.ceil(history.length / pageSize));
+  const start = (page - 1) * pageSize;
+  return {
+    pseudo: history[0].pseudo, // latest spelling
+    reserve: claims.has(normalizeName(pseudo)),
+    parties: played.length,
+    totaux: {
+      rondsPoints: complete.reduce((sum, entry) => sum + entry.nbRondPoints, 0),
+      distanceKm: complete.reduce((sum, entry) => sum + entry.distanceKm, 0)
+    },
+    records: {
+      score: record(best(entryScore)),
+      ratio: record(best(entry => entry.ratio)),
+      distance: record(best(entry => entry.distanceKm))
+    },
+    departements: [...departements].sort().map(code => ({ code, nom: departementNames.get(code) || null })),
+    succes: ACHIEVEMENTS.map(({ id, titre, description }) => ({
+      id,
+      titre,
+      description,
+      obtenu: unlocked.has(id),
+      date: unlocked.get(id)?.date ?? null,
+      idResultat: unlocked.get(id)?.idResultat ?? null
+    })),
+    historique: {
+      page,
+      pageSize,
+      pages,
+      total: history.length,
+      entries: history.slice(start, start + pageSize).map(entry => boardEntry(entry, null))
     }
+  };
+}
 
-    // 2. Get route
-    const route = await getRoute(from.lon, from.lat, to.lon, to.lat);
+// --- Daily challenge: same start city for everyone, one board per Paris day ---
+function dailyCity(date) {
+  const hash = crypto.createHash('sha256').update(`${DAILY_SEED}:${date}`).digest();
+  return DAILY_CITIES[hash.readUInt32BE(0) % DAILY_CITIES.length];
+}
 
-    // 3. Count roundabouts
-    const nbRondPoints = await countRoundabouts(route.geometry);
+// Instant at which the Paris day after `date` begins
+function dailyEnd(date) {
+  const next = new Date(`${date}T12:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return parisDayStart(next.toISOString().substring(0, 10));
+}
 
-    // 4. Compute distance in km
-    const distanceKm = Math.round(route.distance / 1000);
+// A player's best run of the day is their only row on the daily board
+function dailyBoard(date, extra = []) {
+  return rankedResults({
+    mode: 'daily',
+    filter: entry => entry.defi === date,
+    bestOf: entry => normalizeName(entry.pseudo),
+    extra
+  });
+}
 
-    // 5. Compute ratio (roundabouts per 100km)
-    const ratio = distanceKm > 0 ? Math.round((nbRondPoints / distanceKm) * 100 * 10) / 10 : 0;
+function dailySummary(date, limit = 20) {
+  const ranked = dailyBoard(date);
+  return {
+    date,
+    villeDepart: dailyCity(date),
+    finLe: dailyEnd(date).toISOString(),
+    participants: ranked.length,
+    leaderboard: ranked.slice(0, limit).map((entry, i) => boardEntry(entry, i + 1))
+  };
+}
 
-    // 6. Save result to leaderboard
-    const entry = {
-      pseudo: pseudo.trim().substring(0, 20),
-      villeDepart: from.displayName,
-      villeArrivee: to.displayName,
-      nbRondPoints,
-      distanceKm,
-      ratio,
-      date: new Date().toISOString()
+// Rate-limit helper for Nominatim (1 req/s policy), cut short when the job is cancelled
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
     };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
 
-    const leaderboard = loadLeaderboard();
-    leaderboard.push(entry);
-    // Sort by number of roundabouts (descending)
-    leaderboard.sort((a, b) => b.nbRondPoints - a.nbRondPoints);
-    // Keep top 100
-    const trimmed = leaderboard.slice(0, 100);
-    saveLeaderboard(trimmed);
+// Pacing between upstream calls — pointless when replaying fixtures
+function upstreamDelay(ms, signal) {
+  return UPSTREAM_MODE === 'replay' ? Promise.resolve() : delay(ms, signal);
+}
 
-    res.json({
-      ...entry,
-      rank: trimmed.findIndex(e => e.date === entry.date) + 1,
-      leaderboard: trimmed.slice(0, 20)
-    });
+// --- Upstream scheduler: one fair queue per upstream instance, for the whole process ---
+// Every live call waits for its turn: a minimum interval between calls and a
+// cap on calls in flight hold whoever is asking (challenges, autocomplete,
+// admin recounts). Waiting calls are grouped by client and served round-robin,
+// so one long route can't starve the others. A 429 (or a 503 with
+// Retry-After) pauses the whole upstream, not just the call that got it.
+
+function createScheduler(name, { intervalMs, concurrency }) {
+  const waiting = new Map(); // client -> tasks in arrival order; Map order is the serving order
+  let active = 0;
+  let nextStart = 0;         // no call starts before (interval or Retry-After pause)
+  let timer = null;
+
+  // Positions follow the round-robin: first task of every client, then the second ones...
+  function reportPositions() {
+    const queues = [...waiting.values()];
+    let position = 0;
+    for (let round = 0; queues.some(queue => queue.length > round); round++) {
+      for (const queue of queues) {
+        const task = queue[round];
+        if (!task) continue;
+        position++;
+        if (task.position !== position) {
+          task.position = position;
+          task.queued?.(position);
+        }
+      }
+    }
+  }
 
-  } catch (err) {
-    console.error('Challenge error:', err);
-    res.status(500).json({ error: err.message || 'Erreur serveur' });
+  function pump() {
+    clearTimeout(timer);
+    timer = null;
+    while (active < concurrency && waiting.size) {
+      const wait = nextStart - Date.now();
+      if (wait > 0) {
+        timer = setTimeout(pump, wait);
+        break;
+      }
+      const [client, queue] = waiting.entries().next().value;
+      const task = queue.shift();
+      waiting.delete(client);
+      if (queue.length) waiting.set(client, queue); // back of the line
+      active++;
+      nextStart = Date.now() + intervalMs;
+      task.run();
+    }
+    reportPositions();
   }
-});
 
-// --- API: Get leaderboard ---
-app.get('/api/leaderboard', (req, res) => {
-  const leaderboard = loadLeaderboard();
-  res.json(leaderboard.slice(0, 20));
-});
+  function remove(client, task) {
+    const queue = waiting.get(client);
+    if (!queue?.includes(task)) return false;
+    queue.splice(queue.indexOf(task), 1);
+    if (!queue.length) waiting.delete(client);
+    return true;
+  }
 
-// --- Start ---
-app.listen(PORT, () => {
-  console.log(`🏁 Giratoire Challenge lancé sur http://localhost:${PORT}`);
-});
+  function schedule(call, { client = 'server', signal, queued } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(signal.reason);
+      const onAbort = () => {
+        if (remove(client, task)) {
+          reject(signal.reason);
+          pump();
+        }
+      };
+      const task = {
+        position: 0,
+        queued,
+        run: async () => {
+          signal?.removeEventListener('abort', onAbort);
+          if (task.position) queued?.(null); // was reported as waiting
+          try {
+            resolve(await call());
+          } catch (err) {
+            reject(err);
+          } finally {
+            active--;
+            pump();
+          }
+        }
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      if (!waiting.has(client)) waiting.set(client, []);
+      waiting.get(client).push(task);
+      pump();
+    });
+  }
+
+  function pause(ms) {
+    nextStart = Math.max(nextStart, Date.now() + ms);
+  }
+
+  function stats() {
+    return {
+      name,
+      active,
+      waiting: [...waiting.values()].reduce((sum, queue) => sum + queue.length, 0),
+      clients: waiting.size,
+      pausedUntil: nextStart > Date.now() + intervalMs ? new Date(nextStart).toISOString() : null
+    };
+  }
+
+  return { name, schedule, pause, stats };
+}
+
+const schedulers = new Map(); // "provider host" -> scheduler (mirrors have their own)
+
+function upstreamScheduler(provider, baseUrl) {
+  const name = `${provider} ${new URL(baseUrl).host}`;
+  if (!schedulers.has(name)) schedulers.set(name, createScheduler(name, PROVIDERS[provider]));
+  return schedulers.get(name);
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function retryAfterSeconds(header) {
+  if (!header) return RETRY_AFTER_DEFAULT_S;
+  const seconds = /^\d+$/.test(header.trim()) ? parseInt(header, 10) : (Date.parse(header) - Date.now()) / 1000;
+  return Number.isFinite(seconds) ? Math.max(1, Math.ceil(seconds)) : RETRY_AFTER_DEFAULT_S;
+}
+
+// --- Upstream fetch with fixture record/replay ---
+
+// Fixtures are keyed on the request relative to the provider base URL,
+// so recordings made against one instance replay against any other.
+function fixturePath(provider, method, resource, body) {
+  const hash = crypto.createHash('sha1')
+    .update(`${method} ${resource}\n${body || ''}`)
+    .digest('hex');
+  return path.join(FIXTURES_DIR, provider, `${hash}.json`);
+}
+
+async function fetchUpstream(provider, resource, {
+  method = 'GET', headers = {}, body, signal, timeoutMs = PROVIDERS[provider].timeoutMs, baseUrl = PROVIDERS[provider].baseUrl,
+  client, queued
+} = {}) {
+  signal?.throwIfAborted();
+  const file = fixturePath(provider, method, resource, body);
+
+  if (UPSTREAM_MODE === 'replay') {
+    if (!fs.existsSync(file)) {
+      throw new Error(`Aucune réponse enregistrée pour ${provider} ${method} ${resource.substring(0, 80)}`);
+    }
+    const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { ok: fixture.status >= 200 && fixture.status < 300, status: fixture.status, text: fixture.body };
+  }
+
+  const scheduler = upstreamScheduler(provider, baseUrl);
+  let res, text;
+  for (let attempt = 0; ; attempt++) {
+    ({ res, text } = await scheduler.schedule(async () => {
+      // The timeout runs from the call itself, not from the time spent waiting in the queue
+      const timeout = timeoutMs && AbortSignal.timeout(timeoutMs);
+      try {
+        const response = await fetch(baseUrl + resource, {
+          method,
+          headers: { 'User-Agent': USER_AGENT, ...headers },
+          body,
+          signal: signal && timeout ? AbortSignal.any([signal, timeout]) : signal || timeout || undefined
+        });
+        return { res: response, text: await response.text() };
+      } catch (err) {
+        if (!timeout?.aborted || signal?.aborted) throw err;
+        throw new Error(`Pas de réponse de ${provider} en ${timeoutMs / 1000} s, réessaie dans un moment`);
+      }
+    }, { client, signal, queued }));
+
+    if (res.status !== 429 && !(res.status === 503 && res.headers.has('retry-after'))) break;
+    // Rate limited: nobody calls this upstream before the delay is over, then try again
+    const seconds = retryAfterSeconds(res.headers.get('retry-after'));
+    console.warn(`[Upstream] ${scheduler.name} answered ${res.status}, paused for ${seconds} s`);
+    scheduler.pause(Math.min(seconds, RETRY_AFTER_MAX_S) * 1000);
+    if (seconds > RETRY_AFTER_MAX_S || attempt >= RATE_LIMIT_RETRIES) break;
+  }
+
+  if (UPSTREAM_MODE === 'record' && res.ok) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({
+      request: { method, resource, body },
+      status: res.status,
+      body: text
+    }, null, 2), 'utf8');
+  }
+  return { ok: res.ok, status: res.status, text };
+}
+
+// --- Disk-backed cache with TTL and LRU eviction ---
+// One JSON file per entry under data/cache/<namespace>/. The index lives in
+// memory and is rebuilt from file stats at startup (mtime = last access).
+
+const cacheIndex = new Map(); // file -> { ns, size, createdAt, lastAccess }
+const cacheCounters = Object.fromEntries(CACHE_NAMESPACES.map(ns => [ns, { hits: 0, misses: 0 }]));
+
+function cacheFile(ns, key) {
+  const hash = crypto.createHash('sha1').update(key).digest('hex');
+  return path.join(CACHE_DIR, ns, `${hash}.json`);
+}
+
+function loadCacheIndex() {
+  for (const ns of CACHE_NAMESPACES) {
+    const dir = path.join(CACHE_DIR, ns);
+    if (!fs.existsSync(dir)) continue;
+    for (const name of fs.readdirSync(dir)) {
+      const file = path.join(dir, name);
+      const stat = fs.statSync(file);
+      cacheIndex.set(file, { ns, size: stat.size, createdAt: stat.birthtimeMs || stat.mtimeMs, lastAccess: stat.mtimeMs });
+    }
+  }
+}
+
+function removeCacheFile(file) {
+  cacheIndex.delete(file);
+  fs.rmSync(file, { force: true });
+}
+
+function cacheGet(ns, key) {
+  if (!CACHE_ENABLED) return undefined;
+  const file = cacheFile(ns, key);
+  const meta = cacheIndex.get(file);
+  if (!meta) {
+    cacheCounters[ns].misses++;
+    return undefined;
+  }
+  try {
+    const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (Date.now() - entry.createdAt > CACHE_TTL_HOURS * 3600 * 1000) {
+      removeCacheFile(file);
+      cacheCounters[ns].misses++;
+      return undefined;
+    }
+    meta.lastAccess = Date.now();
+    const now = new Date();
+    fs.utimesSync(file, now, now);
+    cacheCounters[ns].hits++;
+    return entry.value;
+  } catch {
+    removeCacheFile(file);
+    cacheCounters[ns].misses++;
+    return undefined;
+  }
+}
+
+function cacheSet(ns, key, value) {
+  if (!CACHE_ENABLED) return;
+  const file = cacheFile(ns, key);
+  const body = JSON.stringify({ key, createdAt: Date.now(), value });
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, body, 'utf8');
+  cacheIndex.set(file, { ns, size: Buffer.byteLength(body), createdAt: Date.now(), lastAccess: Date.now() });
+  evictCache(ns);
+}
+
+// Drop least recently used entries until the namespace and global limits hold
+function evictCache(ns) {
+  const byAccess = [...cacheIndex.entries()].sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+  let nsCount = byAccess.filter(([, meta]) => meta.ns === ns).length;
+  let totalBytes = byAccess.reduce((sum, [, meta]) => sum + meta.size, 0);
+
+  for (const [file, meta] of byAccess) {
+    const overCount = meta.ns === ns && nsCount > CACHE_MAX_ENTRIES;
+    const overSize = totalBytes > CACHE_MAX_MB * 1024 * 1024;
+    if (!overCount && !overSize) continue;
+    removeCacheFile(file);
+    totalBytes -= meta.size;
+    if (meta.ns === ns) nsCount--;
+  }
+}
+
+function cacheSummary() {
+  const ttlMs = CACHE_TTL_HOURS * 3600 * 1000;
+  const namespaces = {};
+  for (const ns of CACHE_NAMESPACES) {
+    const metas = [...cacheIndex.values()].filter(meta => meta.ns === ns);
+    namespaces[ns] = {
+      entries: metas.length,
+      bytes: metas.reduce((sum, meta) => sum + meta.size, 0),
+      expired: metas.filter(meta => Date.now() - meta.createdAt > ttlMs).length,
+      oldest: metas.length ? new Date(Math.min(...metas.map(m => m.createdAt))).toISOString() : null,
+      ...cacheCounters[ns]
+    };
+  }
+  return {
+    enabled: CACHE_ENABLED,
+    ttlHours: CACHE_TTL_HOURS,
+    maxEntriesPerNamespace: CACHE_MAX_ENTRIES,
+    maxMb: CACHE_MAX_MB,
+    namespaces
+  };
+}
+
+function purgeCache({ ns, expiredOnly = false } = {}) {
+  const ttlMs = CACHE_TTL_HOURS * 3600 * 1000;
+  let removed = 0;
+  for (const [file, meta] of [...cacheIndex.entries()]) {
+    if (ns && meta.ns !== ns) continue;
+    if (expiredOnly && Date.now() - meta.createdAt <= ttlMs) continue;
+    removeCacheFile(file);
+    removed++;
+  }
+  return removed;
+}
+
+// Normalize a city name for cache keys: "Saint-Étienne" = "saint etienne"
+function normalizeName(str) {
+  return str.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase().replace(/[\s'’-]+/g, ' ').trim();
+}
+
+// --- Geocode a city name via Nominatim (paced by its scheduler) ---
+async function geocode(cityName, { signal, client, queued } = NO_PROGRESS) {
+  const countries = PLAYABLE_COUNTRIES.join(',');
+  const cacheKey = `${normalizeName(cityName)}|${countries}`;
+  const cached = cacheGet('geocode', cacheKey);
+  if (cached) return cached;
+
+  const res = await fetchUpstream('nominatim',
+    `/search?q=${encodeURIComponent(cityName)}&format=json&limit=1&countrycodes=${countries}&addressdetails=1`,
+    { signal, client, queued });
+  // Still rate limited once the retries are spent, or down: not a JSON answer
+  if (!res.ok) {
+    console.error('[Nominatim] HTTP error:', res.status, res.text.substring(0, 200));
+    throw new Error('Nominatim saturé, réessaie dans un moment');
+  }
+  const data = JSON.parse(res.text);
+  if (!data.length) throw new Error(`Ville introuvable : ${cityName}`);
+  const place = {
+    lat: parseFloat(data[0].lat),
+    lon: parseFloat(data[0].lon),
+    displayName: data[0].display_name.split(',')[0],
+    pays: data[0].address?.country_code || PLAYABLE_COUNTRIES[0]
+  };
+  cacheSet('geocode', cacheKey, place);
+  return place;
+}
+
+// --- French communes index: autocomplete and placing without Nominatim ---
+// Built by scripts/build-communes.js (INSEE codes, postcodes, departments,
+// town hall coordinates). Without the file, everything falls back to Nominatim.
+
+let communes = [];               // sorted by search key, then most populated first
+const communesByCode = new Map(); // INSEE code -> commune
+const communesGrid = new Map();   // 0.1° cell -> communes whose town hall is in it
+const departementNames = new Map(); // department code -> name
+const AUTOCOMPLETE_LIMIT = 8;
+
+function gridCell(lat, lon) {
+  return `${Math.floor(lat * 10)}|${Math.floor(lon * 10)}`;
+}
+
+function loadCommunes() {
+  if (!fs.existsSync(COMMUNES_FILE)) {
+    console.warn(`[Communes] No ${path.basename(COMMUNES_FILE)} (npm run communes): autocomplete and geocoding use Nominatim`);
+    return;
+  }
+  const data = JSON.parse(fs.readFileSync(COMMUNES_FILE, 'utf8'));
+  // Every commune must be placed from the index: a dataset with holes is rebuilt, not patched up
+  const unlocated = data.communes.filter(([, , , , lat, lon]) => !Number.isFinite(lat) || !Number.isFinite(lon));
+  if (unlocated.length) {
+    console.error(`[Communes] ${unlocated.length} communes without coordinates in ${path.basename(COMMUNES_FILE)} (npm run communes): index ignored, autocomplete and geocoding use Nominatim`);
+    return;
+  }
+  communes = data.communes.map(([code, nom, codesPostaux, departement, lat, lon, population]) => ({
+    code,
+    nom,
+    codesPostaux,
+    departement,
+    departementNom: data.departements[departement] || '',
+    lat,
+    lon,
+    population,
+    key: normalizeName(nom)
+  }));
+  communes.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : b.population - a.population));
+  communesByCode.clear();
+  communesGrid.clear();
+  departementNames.clear();
+  for (const [code, nom] of Object.entries(data.departements)) departementNames.set(code, nom);
+  for (const commune of communes) {
+    communesByCode.set(commune.code, commune);
+    const cell = gridCell(commune.lat, commune.lon);
+    if (!communesGrid.has(cell)) communesGrid.set(cell, []);
+    communesGrid.get(cell).push(commune);
+  }
+  console.log(`[Communes] ${communes.length} communes indexed (dataset of ${data.date})`);
+}
+
+// First index whose key is >= prefix (binary search on the sorted keys)
+function firstAtOrAfter(prefix) {
+  let low = 0, high = communes.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (communes[mid].key < prefix) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+// Accent- and case-insensitive prefix search on the name, or on the postcode
+// when the query is made of digits; the most populated communes first
+function searchCommunes(query, limit = AUTOCOMPLETE_LIMIT) {
+  const q = normalizeName(query);
+  let matches;
+  if (/^\d+$/.test(q)) {
+    matches = communes.filter(commune => commune.codesPostaux.some(cp => cp.startsWith(q)));
+  } else {
+    matches = [];
+    for (let i = firstAtOrAfter(q); i < communes.length && communes[i].key.startsWith(q); i++) {
+      matches.push(communes[i]);
+    }
+  }
+  // The exact name first (Marseille before Marseille-en-Beauvaisis), then by population
+  return matches
+    .sort((a, b) => (b.key === q) - (a.key === q) || b.population - a.population)
+    .slice(0, limit);
+}
+
+// Most populated commune with exactly this name (daily challenge start cities)
+function communeByName(name) {
+  const key = normalizeName(name);
+  const commune = communes[firstAtOrAfter(key)];
+  return commune?.key === key ? commune : null;
+}
+
+// Commune whose town hall is the closest (neighbouring cells only), null far from France
+function nearestCommune(lat, lon) {
+  const row = Math.floor(lat * 10), col = Math.floor(lon * 10);
+  let best = null, bestDistance = Infinity;
+  for (let dRow = -1; dRow <= 1; dRow++) {
+    for (let dCol = -1; dCol <= 1; dCol++) {
+      for (const commune of communesGrid.get(`${row + dRow}|${col + dCol}`) || []) {
+        const distance = haversineMeters(lat, lon, commune.lat, commune.lon);
+        if (distance < bestDistance) {
+          best = commune;
+          bestDistance = distance;
+        }
+      }
+    }
+  }
+  return best;
+}
+
+function communeView(commune) {
+  return {
+    id: commune.code,
+    name: commune.nom,
+    codePostal: commune.codesPostaux[0] || '',
+    department: `${commune.departementNom} (${commune.departement})`,
+    pays: 'fr',
+    lat: commune.lat,
+    lon: commune.lon
+  };
+}
+
+// Commune of this name near a geocoded point (10 km), null when there's none
+function communeNear(name, lat, lon) {
+  const key = normalizeName(name);
+  for (let i = firstAtOrAfter(key); i < communes.length && communes[i].key === key; i++) {
+    const commune = communes[i];
+    if (haversineMeters(lat, lon, commune.lat, commune.lon) < 10000) return commune;
+  }
+  return null;
+}
+
+// A commune picked from the index is placed directly; free text goes to Nominatim, and
+// gets the INSEE code of the commune it lands on
+async function locate(ville, code, ctx) {
+  const commune = code && communesByCode.get(code);
+  if (!commune) {
+    const place = await geocode(ville, ctx);
+    const match = place.pays === 'fr' ? communeNear(place.displayName, place.lat, place.lon) : null;
+    return match ? { ...place, displayName: match.nom, insee: match.code } : place;
+  }
+  return { lat: commune.lat, lon: commune.lon, displayName: commune.nom, insee: commune.code, pays: 'fr' };
+}
+
+function samePlace(a, b) {
+  return a.insee && b.insee ? a.insee === b.insee : a.displayName === b.displayName;
+}
+
+// --- Get routes via OSRM (departure, via cities, arrival), best first ---
+// OSRM only proposes alternatives between two waypoints, not through via cities
+async function getRoutes(points, { signal, client, queued } = NO_PROGRESS, { alternatives = false } = {}) {
+  const waypoints = points.map(p => `${p.lon},${p.lat}`).join(';');
+  const cacheKey = points.map(p => `${p.lon.toFixed(5)},${p.lat.toFixed(5)}`).join(';') +
+    (alternatives ? '|alternatives' : '|best');
+  const cached = cacheGet('route', cacheKey);
+  if (cached) return cached;
+
+  const res = await fetchUpstream('osrm',
+    `/route/v1/driving/${waypoints}?overview=full&geometries=geojson${alternatives ? '&alternatives=true' : ''}`,
+    { signal, client, queued });
+  // A route that can't be found is a JSON answer with HTTP 400; anything else is the server's fault
+  if (!res.ok && res.status !== 400) {
+    console.error('[OSRM] HTTP error:', res.status, res.text.substring(0, 200));
+    throw new Error('Calcul d\'itinéraire saturé, réessaie dans un moment');
+  }
+  const data = JSON.parse(res.text);
+  if (data.code !== 'Ok' || !data.routes.length) {
+    throw new Error('Impossible de calculer un itinéraire');
+  }
+  const routes = data.routes.map(route => ({
+    geometry: route.geometry,
+    distance: route.distance,    // meters
+    duration: route.duration     // seconds
+  }));
+  cacheSet('route', cacheKey, routes);
+  return routes;
+}
+
+async function getRoute(points, ctx) {
+  return (await getRoutes(points, ctx))[0];
+}
+
+// --- Count roundabouts along a route using Overpass API (corridor tiles) ---
+
+// Douglas-Peucker simplification, in meters on a local flat projection
+function simplifyPolyline(coords, toleranceMeters) {
+  if (coords.length < 3) return coords.slice();
+  const kx = 111320 * Math.cos(coords[0][1] * Math.PI / 180);
+  const ky = 110540;
+  const xy = coords.map(([lon, lat]) => [lon * kx, lat * ky]);
+
+  const keep = new Uint8Array(coords.length);
+  keep[0] = keep[coords.length - 1] = 1;
+  const stack = [[0, coords.length - 1]];
+  while (stack.length) {
+    const [a, b] = stack.pop();
+    let maxDist = 0, index = -1;
+    for (let i = a + 1; i < b; i++) {
+      const d = distToSegment(xy[i][0], xy[i][1], xy[a][0], xy[a][1], xy[b][0], xy[b][1]);
+      if (d > maxDist) {
+        maxDist = d;
+        index = i;
+      }
+    }
+    if (maxDist > toleranceMeters) {
+      keep[index] = 1;
+      stack.push([a, index], [index, b]);
+    }
+  }
+  return coords.filter((_, i) => keep[i]);
+}
+
+// Light polyline for the result mini-map: coarser tolerance until it fits
+function simplifyForDisplay(coords, maxPoints = 200) {
+  let tolerance = 50;
+  let simplified = simplifyPolyline(coords, tolerance);
+  while (simplified.length > maxPoints) {
+    tolerance *= 2;
+    simplified = simplifyPolyline(coords, tolerance);
+  }
+  return simplified.map(([lon, lat]) => [Math.round(lon * 1e5) / 1e5, Math.round(lat * 1e5) / 1e5]);
+}
+
+// Cut the (simplified) route into corridor tiles that follow its direction.
+// The tile count grows with the route length and each tile is bounded both
+// in length and in points, so every Overpass query stays small.
+function computeCorridorTiles(coords) {
+  const simplified = simplifyPolyline(coords, CORRIDOR_SIMPLIFY_M);
+  const tiles = [];
+  let current = [simplified[0]];
+  let length = 0;
+
+  for (let i = 1; i < simplified.length; i++) {
+    const [lon1, lat1] = simplified[i - 1];
+    const [lon2, lat2] = simplified[i];
+    const d = haversineMeters(lat1, lon1, lat2, lon2);
+    if (current.length > 1 && (length + d > CORRIDOR_TILE_KM * 1000 || current.length >= CORRIDOR_TILE_POINTS)) {
+      tiles.push(current);
+      current = [simplified[i - 1]]; // consecutive tiles share their boundary point
+      length = 0;
+    }
+    current.push(simplified[i]);
+    length += d;
+  }
+  tiles.push(current);
+
+  return tiles.map(points => ({ points, radius: CORRIDOR_RADIUS_M }));
+}
+
+// Group tiles into queries holding at most OVERPASS_MAX_POINTS polyline points
+function batchTiles(tiles) {
+  const batches = [];
+  let batch = [], points = 0;
+  for (const tile of tiles) {
+    if (batch.length && points + tile.points.length > OVERPASS_MAX_POINTS) {
+      batches.push(batch);
+      batch = [];
+      points = 0;
+    }
+    batch.push(tile);
+    points += tile.points.length;
+  }
+  if (batch.length) batches.push(batch);
+  return batches;
+}
+
+// Tile bbox grown by the corridor radius
+function tileBounds(tile) {
+  let s = Infinity, n = -Infinity, w = Infinity, e = -Infinity;
+  for (const [lon, lat] of tile.points) {
+    if (lat < s) s = lat;
+    if (lat > n) n = lat;
+    if (lon < w) w = lon;
+    if (lon > e) e = lon;
+  }
+  const dLat = tile.radius / 110540;
+  const dLon = tile.radius / (111320 * Math.cos(((s + n) / 2) * Math.PI / 180));
+  return { s: s - dLat, n: n + dLat, w: w - dLon, e: e + dLon };
+}
+
+function deduplicateRoundabouts(elements) {
+  const roundaboutWays = elements.filter(
+    el => el.type === 'way' && RING_TYPES.includes(el.tags?.junction)
+  );
+
+  // Group by shared nodes — ways sharing any node belong to the same roundabout
+  const nodeToGroup = new Map();
+  let groupId = 0;
+  const wayToGroup = new Map();
+
+  for (const way of roundaboutWays) {
+    let existingGroup = null;
+    for (const nodeId of way.nodes) {
+      if (nodeToGroup.has(nodeId)) {
+        existingGroup = nodeToGroup.get(nodeId);
+        break;
+      }
+    }
+    if (existingGroup !== null) {
+      wayToGroup.set(way.id, existingGroup);
+      for (const nodeId of way.nodes) {
+        nodeToGroup.set(nodeId, existingGroup);
+      }
+    } else {
+      const gid = groupId++;
+      wayToGroup.set(way.id, gid);
+      for (const nodeId of way.nodes) {
+        nodeToGroup.set(nodeId, gid);
+      }
+    }
+  }
+
+  // Return groups with their representative ways
+  const groups = new Map();
+  for (const way of roundaboutWays) {
+    const gid = wayToGroup.get(way.id);
+    if (!groups.has(gid)) {
+      groups.set(gid, []);
+    }
+    groups.get(gid).push(way);
+  }
+  return groups; // Map<groupId, way[]>
+}
+
+// --- Haversine distance in meters between two points ---
+function haversineMeters(lat1, lon1, lat2, lon2) {
+  const R = 6371000;
+  const toRad = d => d * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// --- Minimum distance from a point to a polyline segment ---
+function distToSegment(px, py, ax, ay, bx, by) {
+  const dx = bx - ax, dy = by - ay;
+  const lenSq = dx * dx + dy * dy;
+  if (lenSq === 0) return Math.hypot(px - ax, py - ay);
+  let t = ((px - ax) * dx + (py - ay) * dy) / lenSq;
+  t = Math.max(0, Math.min(1, t));
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+}
+
+// --- Spatial index of the route: grid cells -> vertex and segment indices ---
+// Long routes have thousands of points; candidates only look at nearby cells.
+function createRouteIndex(coords) {
+  // Distance along the route (meters) at each vertex
+  const cumulative = [0];
+  for (let i = 1; i < coords.length; i++) {
+    const [lon1, lat1] = coords[i - 1];
+    const [lon2, lat2] = coords[i];
+    cumulative.push(cumulative[i - 1] + haversineMeters(lat1, lon1, lat2, lon2));
+  }
+
+  const cells = new Map();
+  const cellAt = (x, y) => {
+    const key = `${x}:${y}`;
+    if (!cells.has(key)) cells.set(key, { vertices: [], segments: [] });
+    return cells.get(key);
+  };
+  const toCell = v => Math.floor(v / ROUTE_GRID_DEG);
+
+  coords.forEach(([lon, lat], i) => {
+    cellAt(toCell(lon), toCell(lat)).vertices.push(i);
+    if (i === 0) return;
+    const [prevLon, prevLat] = coords[i - 1];
+    for (let x = toCell(Math.min(lon, prevLon)); x <= toCell(Math.max(lon, prevLon)); x++) {
+      for (let y = toCell(Math.min(lat, prevLat)); y <= toCell(Math.max(lat, prevLat)); y++) {
+        cellAt(x, y).segments.push(i - 1); // segment i-1 → i
+      }
+    }
+  });
+
+  // Indices of the given kind ('vertices' or 'segments') in cells touching a bbox
+  function query(kind, { s, w, n, e }) {
+    const found = new Set();
+    for (let x = toCell(w); x <= toCell(e); x++) {
+      for (let y = toCell(s); y <= toCell(n); y++) {
+        const cell = cells.get(`${x}:${y}`);
+        if (cell) for (const i of cell[kind]) found.add(i);
+      }
+    }
+    return found;
+  }
+
+  return { coords, cumulative, query };
+}
+
+// Bbox around a point, grown by a distance in meters
+function boundsAround(lat, lon, meters) {
+  const dLat = meters / 110540;
+  const dLon = meters / (111320 * Math.cos(lat * Math.PI / 180));
+  return { s: lat - dLat, n: lat + dLat, w: lon - dLon, e: lon + dLon };
+}
+
+// Distance in meters from a point to segment a-b ([lon, lat] pairs), flat projection around the point
+function pointToSegmentMeters(lat, lon, [lonA, latA], [lonB, latB]) {
+  const kx = 111320 * Math.cos(lat * Math.PI / 180);
+  const ky = 110540;
+  return distToSegment(0, 0, (lonA - lon) * kx, (latA - lat) * ky, (lonB - lon) * kx, (latB - lat) * ky);
+}
+
+// Closest route segment within maxMeters: { meters, segment } (meters is Infinity when none)
+function distanceToRoute(index, lat, lon, maxMeters) {
+  let min = Infinity, segment = null;
+  for (const i of index.query('segments', boundsAround(lat, lon, maxMeters))) {
+    const d = pointToSegmentMeters(lat, lon, index.coords[i], index.coords[i + 1]);
+    if (d < min) {
+      min = d;
+      segment = i;
+    }
+  }
+  return { meters: min, segment };
+}
+
+// { label: 'nearby', vertex } when the point is this close to the route, null otherwise
+function nearbyMatch(index, lat, lon) {
+  const { meters, segment } = distanceToRoute(index, lat, lon, NEARBY_DISTANCE_M);
+  return meters <= NEARBY_DISTANCE_M ? { label: 'nearby', vertex: segment } : null;
+}
+
+// --- Classify a roundabout against the route ---
+// Returns { label: 'traversed', vertex } (first route point on it), { label: 'nearby', vertex }
+// (closest route segment) or null.
+// `ring` is a list of edges ([lon, lat] pairs) of all the ways of the roundabout.
+// OSRM geometries go through the OSM nodes of the roads they follow, so a route
+// that drives through the roundabout has consecutive points on the ring: it
+// enters the ring, follows it, and leaves. A bridge over the route or a
+// parallel road never has two consecutive route points on the ring.
+function classifyRoundabout(index, ring, centroid) {
+  const onRing = new Set();
+  for (const [a, b] of ring) {
+    const edgeBounds = boundsAround((a[1] + b[1]) / 2, (a[0] + b[0]) / 2,
+      haversineMeters(a[1], a[0], b[1], b[0]) / 2 + TRAVERSE_TOLERANCE_M);
+    for (const i of index.query('vertices', edgeBounds)) {
+      if (onRing.has(i)) continue;
+      const [lon, lat] = index.coords[i];
+      if (pointToSegmentMeters(lat, lon, a, b) <= TRAVERSE_TOLERANCE_M) onRing.add(i);
+    }
+  }
+  const entry = [...onRing].sort((a, b) => a - b).find(i => onRing.has(i + 1));
+  if (entry !== undefined) return { label: 'traversed', vertex: entry };
+
+  // Not driven: is it at least close to the route?
+  const nearby = nearbyMatch(index, centroid.lat, centroid.lon);
+  if (nearby) return nearby;
+  for (const [a] of ring) {
+    const match = nearbyMatch(index, a[1], a[0]);
+    if (match) return match;
+  }
+  return null;
+}
+
+// Mini-roundabouts and turning circles are single nodes: the route goes
+// through the node itself, or merely passes close to it.
+function classifyPointFeature(index, node) {
+  const vertices = [...index.query('vertices', boundsAround(node.lat, node.lon, TRAVERSE_TOLERANCE_M))].sort((a, b) => a - b);
+  for (const i of vertices) {
+    const [lon, lat] = index.coords[i];
+    if (haversineMeters(lat, lon, node.lat, node.lon) <= TRAVERSE_TOLERANCE_M) return { label: 'traversed', vertex: i };
+  }
+  return nearbyMatch(index, node.lat, node.lon);
+}
+
+// The fetched types are part of the key, so adding one invalidates older entries
+function tileKey(tile) {
+  return `${ROUNDABOUT_TYPES.join(',')}|${tile.radius}:` + tile.points.map(([lon, lat]) => `${lon.toFixed(5)},${lat.toFixed(5)}`).join(';');
+}
+
+// Attribute the elements of a multi-tile answer back to each tile, so every
+// tile can be cached on its own: a way belongs to each tile holding one of its nodes.
+function splitElementsByTile(elements, tiles) {
+  const nodes = new Map();
+  for (const el of elements) {
+    if (el.type === 'node') nodes.set(el.id, el);
+  }
+  const inBbox = (node, b) => node.lat >= b.s && node.lat <= b.n && node.lon >= b.w && node.lon <= b.e;
+
+  return tiles.map(tile => {
+    const b = tileBounds(tile);
+    const result = [];
+    for (const el of elements) {
+      if (el.type === 'node' && el.tags && inBbox(el, b)) result.push(el);
+      if (el.type !== 'way') continue;
+      const wayNodes = el.nodes.map(id => nodes.get(id)).filter(Boolean);
+      if (wayNodes.some(node => inBbox(node, b))) result.push(el, ...wayNodes);
+    }
+    return result;
+  });
+}
+
+// Single Overpass query: union of "around a polyline" filters, one per tile
+function buildOverpassQuery(tiles) {
+  const corridorFilters = tiles.map(tile => {
+    const line = tile.points.map(([lon, lat]) => `${lat.toFixed(6)},${lon.toFixed(6)}`).join(',');
+    return `  way["junction"~"^(${RING_TYPES.join('|')})$"](around:${tile.radius},${line});\n` +
+      `  node["highway"~"^(${POINT_TYPES.join('|')})$"](around:${tile.radius},${line});`;
+  }).join('\n');
+
+  return `[out:json][timeout:90][maxsize:10485760];\n(\n${corridorFilters}\n);\nout body;\n>;\nout skel qt;`;
+}
+
+async function queryOverpassTiles(tiles, { signal, client, queued }, baseUrl = OVERPASS_MIRRORS[0]) {
+  const query = buildOverpassQuery(tiles);
+
+  console.log(`[Overpass] Querying ${tiles.length} corridor tiles on ${baseUrl} (query length: ${query.length})`);
+
+  const res = await fetchUpstream('overpass', '/interpreter', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: `data=${encodeURIComponent(query)}`,
+    signal,
+    timeoutMs: 120000,
+    baseUrl,
+    client,
+    queued
+  });
+
+  if (!res.ok) {
+    console.error('[Overpass] HTTP error:', res.status, res.text.substring(0, 200));
+    throw new Error(`Overpass API HTTP ${res.status}`);
+  }
+
+  return JSON.parse(res.text);
+}
+
+// Retry a single failed segment with exponential backoff, rotating through the mirrors.
+// Returns the Overpass answer, or null once every attempt has failed.
+async function retrySegment(tile, ctx) {
+  const { signal } = ctx;
+  for (let attempt = 0; attempt < OVERPASS_RETRIES; attempt++) {
+    const mirror = OVERPASS_MIRRORS[(attempt + 1) % OVERPASS_MIRRORS.length];
+    await upstreamDelay(2000 * 2 ** attempt, signal);
+    try {
+      return await queryOverpassTiles([tile], ctx, mirror);
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      console.error(`[Overpass] Segment retry ${attempt + 1}/${OVERPASS_RETRIES} on ${mirror} failed:`, err.message);
+    }
+  }
+  return null;
+}
+
+// Progress sink for callers that don't run inside a job
+const NO_PROGRESS = { signal: undefined, report() {} };
+
+async function countRoundabouts(geometry, ctx = NO_PROGRESS) {
+  const { signal, report } = ctx;
+  const coords = geometry.coordinates; // [lon, lat] pairs
+  console.log(`[Route] ${coords.length} coordinate points`);
+
+  // Split route into corridor tiles (count adapts to the route length)
+  const tiles = computeCorridorTiles(coords);
+  let allElements = [];
+
+  // Per-segment coverage: every tile must be answered for the count to be complete
+  const failedSegments = [];
+
+  // Cached tiles are served from disk, only the others go to Overpass
+  const pending = [];
+  for (const tile of tiles) {
+    const cached = cacheGet('overpass', tileKey(tile));
+    if (cached) allElements.push(...cached);
+    else pending.push(tile);
+  }
+  if (pending.length < tiles.length) {
+    console.log(`[Cache] ${tiles.length - pending.length}/${tiles.length} corridor tiles from cache`);
+  }
+
+  const batches = batchTiles(pending);
+  for (const [b, batch] of batches.entries()) {
+    const batchNumber = b + 1;
+    report('overpass', `Recherche des ronds-points (lot ${batchNumber}/${batches.length})`, b / batches.length);
+    try {
+      const data = await queryOverpassTiles(batch, ctx);
+      allElements.push(...data.elements);
+      splitElementsByTile(data.elements, batch).forEach((elements, j) => {
+        cacheSet('overpass', tileKey(batch[j]), elements);
+      });
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      console.error(`[Overpass] Batch ${batchNumber} failed:`, err.message);
+      // Retry segment by segment, with backoff across the mirrors
+      for (const tile of batch) {
+        const index = tiles.indexOf(tile);
+        report('overpass', `Nouvel essai du segment ${index + 1}/${tiles.length}`, b / batches.length);
+        const data = await retrySegment(tile, ctx);
+        if (data) {
+          allElements.push(...data.elements);
+          cacheSet('overpass', tileKey(tile), data.elements);
+        } else {
+          failedSegments.push(index);
+        }
+      }
+    }
+  }
+
+  report('filtering', 'Filtrage des ronds-points sur le trajet', 0);
+
+  // Deduplicate (same way can appear in overlapping tiles)
+  const uniqueElements = new Map();
+  for (const el of allElements) {
+    if (el.id && !uniqueElements.has(`${el.type}-${el.id}`)) {
+      uniqueElements.set(`${el.type}-${el.id}`, el);
+    }
+  }
+
+  const elements = [...uniqueElements.values()];
+
+  // Build node position lookup (for computing roundabout centroids)
+  const nodePositions = new Map();
+  for (const el of elements) {
+    if (el.type === 'node' && el.lat !== undefined && el.lon !== undefined) {
+      nodePositions.set(el.id, { lat: el.lat, lon: el.lon });
+    }
+  }
+
+  // Deduplicate roundabouts into groups
+  const groups = deduplicateRoundabouts(elements);
+  console.log(`[Overpass] ${groups.size} roundabout groups in corridor (before proximity filter)`);
+
+  // Filter: only count roundabouts the route actually drives through
+  const routeIndex = createRouteIndex(coords);
+  const traversed = [];
+  const nearby = []; // passed close by without driving on them: listed, not counted
+  const byType = Object.fromEntries(ROUNDABOUT_TYPES.map(type => [type, 0]));
+  const kmAt = vertex => Math.round(routeIndex.cumulative[vertex] / 100) / 10;
+  for (const [gid, ways] of groups) {
+    // Ring edges and centroid from all nodes of all ways in this group
+    const ring = [];
+    let sumLat = 0, sumLon = 0, count = 0;
+    for (const way of ways) {
+      for (let i = 0; i < way.nodes.length; i++) {
+        const pos = nodePositions.get(way.nodes[i]);
+        if (!pos) continue;
+        sumLat += pos.lat;
+        sumLon += pos.lon;
+        count++;
+        const next = nodePositions.get(way.nodes[i + 1]);
+        if (next) ring.push([[pos.lon, pos.lat], [next.lon, next.lat]]);
+      }
+    }
+    if (count === 0 || !ring.length) continue;
+    const centroid = { lat: sumLat / count, lon: sumLon / count };
+
+    const match = classifyRoundabout(routeIndex, ring, centroid);
+    if (!match) continue;
+    const type = ways[0].tags.junction;
+    const tags = ways.find(way => way.tags?.name)?.tags || ways.find(way => way.tags?.ref)?.tags || {};
+    if (match.label === 'traversed') byType[type]++;
+    (match.label === 'traversed' ? traversed : nearby).push({
+      type,
+      label: match.label,
+      wayIds: ways.map(way => way.id),
+      lat: Math.round(centroid.lat * 1e6) / 1e6,
+      lon: Math.round(centroid.lon * 1e6) / 1e6,
+      ...(tags.name && { name: tags.name }),
+      ...(tags.ref && { ref: tags.ref }),
+      km: kmAt(match.vertex)
+    });
+  }
+
+  // Mini-roundabouts and turning circles (tagged nodes)
+  for (const el of elements) {
+    if (el.type !== 'node' || !POINT_TYPES.includes(el.tags?.highway)) continue;
+    const match = classifyPointFeature(routeIndex, el);
+    if (!match) continue;
+    if (match.label === 'traversed') byType[el.tags.highway]++;
+    (match.label === 'traversed' ? traversed : nearby).push({
+      type: el.tags.highway,
+      label: match.label,
+      nodeId: el.id,
+      lat: el.lat,
+      lon: el.lon,
+      ...(el.tags.name && { name: el.tags.name }),
+      ...(el.tags.ref && { ref: el.tags.ref }),
+      km: kmAt(match.vertex)
+    });
+  }
+  traversed.sort((a, b) => a.km - b.km);
+  nearby.sort((a, b) => a.km - b.km);
+
+  console.log(`[Result] ${traversed.length} roundabouts traversed, ${nearby.length} passed nearby (out of ${groups.size})`);
+  if (failedSegments.length) {
+    console.warn(`[Result] Incomplete count: ${failedSegments.length}/${tiles.length} segments missing`);
+  }
+  return {
+    count: traversed.length,
+    roundabouts: traversed,
+    byType,
+    nearby,
+    coverage: {
+      segments: tiles.length,
+      missing: failedSegments.sort((a, b) => a - b)
+    }
+  };
+}
+
+// --- Countries along the route: crossings of the OSM national borders ---
+// Only for routes whose cities lie in several countries: one Overpass query
+// returns the border ways (admin_level=2) near the route with the countries
+// on each side, then the route is cut where it crosses them.
+const BORDER_SIMPLIFY_M = 200;
+const BORDER_SEARCH_M = 250; // wider than the simplification: no crossing of the real route is missed
+
+function buildBorderQuery(coords) {
+  const line = simplifyPolyline(coords, BORDER_SIMPLIFY_M)
+    .map(([lon, lat]) => `${lat.toFixed(5)},${lon.toFixed(5)}`).join(',');
+  return '[out:json][timeout:60];\n' +
+    `way["boundary"="administrative"]["admin_level"="2"](around:${BORDER_SEARCH_M},${line})->.borders;\n` +
+    'foreach.borders->.border(\n' +
+    '  .border out geom;\n' +
+    '  rel(bw.border)["boundary"="administrative"]["admin_level"="2"];\n' +
+    '  out tags;\n' +
+    ');';
+}
+
+// Border ways as { countries, geometry: [lon, lat][] }; each way is followed by its countries' relations
+async function fetchBorders(geometry, { signal, client, queued }) {
+  const cacheKey = `borders|${routeHash(geometry)}`;
+  const cached = cacheGet('overpass', cacheKey);
+  if (cached) return cached;
+
+  const res = await fetchUpstream('overpass', '/interpreter', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: `data=${encodeURIComponent(buildBorderQuery(geometry.coordinates))}`,
+    signal,
+    timeoutMs: 90000,
+    client,
+    queued
+  });
+  if (!res.ok) throw new Error(`Overpass API HTTP ${res.status}`);
+
+  const borders = [];
+  for (const el of JSON.parse(res.text).elements) {
+    if (el.type === 'way' && el.geometry) {
+      borders.push({ countries: [], geometry: el.geometry.map(({ lat, lon }) => [lon, lat]) });
+    } else if (el.type === 'relation' && borders.length) {
+      const code = (el.tags?.['ISO3166-1:alpha2'] || el.tags?.['ISO3166-1'] || '').toLowerCase();
+      if (code) borders[borders.length - 1].countries.push(code);
+    }
+  }
+  cacheSet('overpass', cacheKey, borders);
+  return borders;
+}
+
+// Position t (0..1) on [p1, p2] where it crosses [p3, p4], null if it doesn't
+function segmentCrossing([x1, y1], [x2, y2], [x3, y3], [x4, y4]) {
+  const d = (x2 - x1) * (y4 - y3) - (y2 - y1) * (x4 - x3);
+  if (d === 0) return null;
+  const t = ((x3 - x1) * (y4 - y3) - (y3 - y1) * (x4 - x3)) / d;
+  const u = ((x3 - x1) * (y2 - y1) - (y3 - y1) * (x2 - x1)) / d;
+  return t >= 0 && t <= 1 && u >= 0 && u <= 1 ? t : null;
+}
+
+function boxOf(points) {
+  const lons = points.map(([lon]) => lon);
+  const lats = points.map(([, lat]) => lat);
+  return { w: Math.min(...lons), e: Math.max(...lons), s: Math.min(...lats), n: Math.max(...lats) };
+}
+
+function boxesOverlap(a, b) {
+  return a.w <= b.e && b.w <= a.e && a.s <= b.n && b.s <= a.n;
+}
+
+// Every crossing of a border by the route, with its km, in route order
+function findCrossings(coords, borders) {
+  const cumulative = [0];
+  for (let i = 1; i < coords.length; i++) {
+    cumulative.push(cumulative[i - 1] + haversineMeters(coords[i - 1][1], coords[i - 1][0], coords[i][1], coords[i][0]));
+  }
+  // Route cut in chunks with their bounding box, so most segment pairs are never tested
+  const chunks = [];
+  for (let start = 0; start < coords.length - 1; start += 64) {
+    const end = Math.min(start + 64, coords.length - 1);
+    chunks.push({ start, end, box: boxOf(coords.slice(start, end + 1)) });
+  }
+
+  const crossings = [];
+  for (const border of borders) {
+    if (border.countries.length < 2) continue; // coastline, or a side we can't name
+    for (let j = 1; j < border.geometry.length; j++) {
+      const a = border.geometry[j - 1], b = border.geometry[j];
+      const box = boxOf([a, b]);
+      for (const chunk of chunks) {
+        if (!boxesOverlap(box, chunk.box)) continue;
+        for (let i = chunk.start; i < chunk.end; i++) {
+          const t = segmentCrossing(coords[i], coords[i + 1], a, b);
+          if (t === null) continue;
+          crossings.push({ km: (cumulative[i] + t * (cumulative[i + 1] - cumulative[i])) / 1000, countries: border.countries });
+        }
+      }
+    }
+  }
+  return crossings.sort((x, y) => x.km - y.km);
+}
+
+// Route cut into country sections [{ pays, km }] (km where the section starts)
+function countrySections(crossings, startCountry) {
+  const sections = [{ pays: startCountry, km: 0 }];
+  let previous = null;
+  for (const crossing of crossings) {
+    // Crossing right on a border node shows up once per adjacent border segment
+    const duplicate = previous && crossing.km - previous.km < 0.02 && crossing.countries.join() === previous.countries.join();
+    previous = crossing;
+    const current = sections[sections.length - 1].pays;
+    if (duplicate || !crossing.countries.includes(current)) continue;
+    sections.push({ pays: crossing.countries.find(code => code !== current), km: Math.round(crossing.km * 10) / 10 });
+  }
+  return sections;
+}
+
+function countryAt(sections, km) {
+  return sections.reduce((pays, section) => (section.km <= km ? section.pays : pays), sections[0].pays);
+}
+
+// Looked up along the geometry even when every city is in the same country: the route
+// can go through another one. null when the borders couldn't be fetched: the countries
+// are then those of the cities, without a split
+async function routeSections(route, places, ctx) {
+  const start = places[0].pays || 'fr';
+  ctx.report('overpass', 'Recherche des passages de frontière', 0);
+  try {
+    return countrySections(findCrossings(route.geometry.coordinates, await fetchBorders(route.geometry, ctx)), start);
+  } catch (err) {
+    if (ctx.signal?.aborted) throw err;
+    console.error('[Borders] Query failed:', err.message);
+    return null;
+  }
+}
+
+// --- Admin authentication (Authorization: Bearer <ADMIN_TOKEN>) ---
+function requireAdmin(req, res, next) {
+  const header = req.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+  const hash = value => crypto.createHash('sha256').update(value).digest();
+  if (!ADMIN_TOKEN || !crypto.timingSafeEqual(hash(token), hash(ADMIN_TOKEN))) {
+    return res.status(401).json({ error: 'Accès refusé' });
+  }
+  next();
+}
+
+// --- Input sanitization helper ---
+function sanitize(str) {
+  return str.replace(/[<>"'&;]/g, '').trim();
+}
+
+// --- API: Autocomplete city names (communes index for France, Nominatim for the other countries) ---
+// Nominatim suggestions share Nominatim's queue with the games: not worth waiting long for
+const AUTOCOMPLETE_WAIT_MS = 5000;
+
+app.get('/api/autocomplete', autocompleteLimiter, async (req, res) => {
+  // Give up on a long queue, or as soon as the browser moved on
+  const closed = new AbortController();
+  res.on('close', () => closed.abort());
+  const signal = AbortSignal.any([closed.signal, AbortSignal.timeout(AUTOCOMPLETE_WAIT_MS)]);
+  let local = [];
+  try {
+    const q = String(req.query.q || '').trim();
+    if (q.length < 2) return res.json([]);
+
+    // French communes come from the index; Nominatim covers the other countries, only if there's room left
+    const indexed = communes.length && PLAYABLE_COUNTRIES.includes('fr');
+    if (indexed) local = searchCommunes(q).map(communeView);
+    const others = indexed ? PLAYABLE_COUNTRIES.filter(code => code !== 'fr') : PLAYABLE_COUNTRIES;
+    if (local.length >= AUTOCOMPLETE_LIMIT || !others.length) return res.json(local);
+
+    const response = await fetchUpstream('nominatim',
+      `/search?q=${encodeURIComponent(q)}&format=json&limit=${AUTOCOMPLETE_LIMIT}&countrycodes=${others.join(',')}` +
+      `&addressdetails=1&dedupe=1`, { signal, client: req.ip });
+    const data = JSON.parse(response.text);
+
+    // Filter to keep only places (cities, towns, villages)
+    const placeTypes = ['city', 'town', 'village', 'municipality'];
+    const results = data
+      .filter(item => {
+        const placeType = item.address?.city || item.address?.town || item.address?.village || item.address?.municipality;
+        return placeType || item.type === 'city' || item.type === 'administrative' || item.class === 'place';
+      })
+      .map(item => ({
+        name: item.address?.city || item.address?.town || item.address?.village || item.address?.municipality || item.display_name.split(',')[0],
+        department: item.address?.county || item.address?.state || '',
+        displayName: item.display_name.split(',').slice(0, 2).join(','),
+        pays: item.address?.country_code || '',
+        lat: parseFloat(item.lat),
+        lon: parseFloat(item.lon)
+      }));
+
+    // Deduplicate by name + department
+    const seen = new Set();
+    const unique = results.filter(r => {
+      const key = `${r.name}-${r.department}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    res.json([...local, ...unique].slice(0, AUTOCOMPLETE_LIMIT));
+  } catch (err) {
+    if (!signal.aborted) console.error('Autocomplete error:', err);
+    res.json(local);
+  }
+});
+
+// --- Scoring ---
+// Weighted sum of the traversed roundabouts per type
+function computeScore(repartition) {
+  const score = Object.entries(repartition)
+    .reduce((sum, [type, count]) => sum + count * (SCORE_WEIGHTS[type] ?? 1), 0);
+  return Math.round(score * 100) / 100;
+}
+
+// Entries saved before typed scoring only have a plain count
+function entryScore(entry) {
+  return entry.score ?? entry.nbRondPoints;
+}
+
+// --- Challenge jobs ---
+// A challenge can take minutes (Overpass batches), so it runs in the
+// background: POST returns a job ID, progress streams over SSE (or polling).
+
+const JOB_TTL_MS = 15 * 60 * 1000; // how long finished jobs stay available
+const JOB_STAGES = {                 // share of the progress bar per stage (%)
+  queued: [0, 0],
+  geocoding: [0, 10],
+  routing: [10, 20],
+  overpass: [20, 85],
+  filtering: [85, 95],
+  saving: [95, 100]
+};
+const jobs = new Map(); // id -> job
+
+function jobSnapshot(job) {
+  return {
+    id: job.id,
+    status: job.status,   // running | done | error | cancelled
+    progress: job.progress,
+    result: job.result,
+    error: job.error
+  };
+}
+
+function notifyJob(job, event) {
+  const payload = `event: ${event}\ndata: ${JSON.stringify(jobSnapshot(job))}\n\n`;
+  for (const client of job.clients) client.write(payload);
+  if (job.status !== 'running') {
+    for (const client of job.clients) client.end();
+    job.clients.clear();
+  }
+}
+
+// client: who the job runs for (IP), so upstream queues can serve every client in turn
+function createJob(run, { client } = {}) {
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'running',
+    progress: { stage: 'queued', message: 'En attente…', percent: 0 },
+    result: null,
+    error: null,
+    controller: new AbortController(),
+    clients: new Set(),
+    finishedAt: null
+  };
+  jobs.set(job.id, job);
+
+  const report = (stage, message, fraction = 0) => {
+    const [from, to] = JOB_STAGES[stage];
+    const percent = Math.round(from + (to - from) * Math.min(1, Math.max(0, fraction)));
+    job.progress = { stage, message, percent };
+    notifyJob(job, 'progress');
+  };
+
+  // Waiting for an upstream: position in its queue, shown next to the current stage (null once called)
+  const queued = position => {
+    const { fileAttente, ...progress } = job.progress;
+    job.progress = position ? { ...progress, fileAttente: position } : progress;
+    notifyJob(job, 'progress');
+  };
+
+  run({ id: job.id, signal: job.controller.signal, report, client, queued })
+    .then(result => {
+      job.status = 'done';
+      job.result = result;
+      job.progress = { stage: 'done', message: 'Terminé', percent: 100 };
+    })
+    .catch(err => {
+      if (job.controller.signal.aborted) {
+        job.status = 'cancelled';
+        job.error = 'Partie annulée';
+      } else {
+        console.error('Challenge error:', err);
+        job.status = 'error';
+        job.error = err.message || 'Erreur serveur';
+      }
+    })
+    .finally(() => {
+      job.finishedAt = Date.now();
+      notifyJob(job, 'end');
+    });
+
+  return job;
+}
+
+// Forget finished jobs once nobody can reasonably poll them anymore
+setInterval(() => {
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && Date.now() - job.finishedAt > JOB_TTL_MS) jobs.delete(id);
+  }
+}, 60 * 1000).unref();
+
+// --- Challenge pipeline: geocode → routes → count each → (choose) → save ---
+
+// Fingerprint of a candidate route, sent back by the client with its choice
+function routeHash(geometry) {
+  return crypto.createHash('sha256').update(JSON.stringify(geometry.coordinates)).digest('hex').substring(0, 16);
+}
+
+// Progress of alternative i out of n, kept monotonic across the overpass and filtering stages
+function alternativeReport(report, i, n) {
+  if (n === 1) return report;
+  return (stage, message, fraction = 0) => {
+    const within = stage === 'filtering' ? 0.9 + 0.1 * fraction : 0.9 * fraction;
+    report('overpass', `Itinéraire ${i + 1}/${n} : ${message}`, (i + within) / n);
+  };
+}
+
+// Count the roundabouts of one candidate route, and split them by country
+async function analyseRoute(route, ctx, places) {
+  const sections = await routeSections(route, places, ctx);
+  const { count: nbRondPoints, roundabouts: rondsPoints, byType: repartition, nearby: rondsPointsProches, coverage } =
+    await countRoundabouts(route.geometry, ctx);
+
+  const pays = [...new Set(sections ? sections.map(section => section.pays) : places.map(place => place.pays || 'fr'))];
+  let repartitionPays = null;
+  if (sections) {
+    repartitionPays = Object.fromEntries(pays.map(code => [code, 0]));
+    for (const rp of rondsPoints) {
+      rp.pays = countryAt(sections, rp.km);
+      repartitionPays[rp.pays]++;
+    }
+  }
+  return {
+    hash: routeHash(route.geometry),
+    route,
+    nbRondPoints,
+    rondsPoints,
+    repartition,
+    nbProches: rondsPointsProches.length,
+    rondsPointsProches,
+    coverage,
+    score: computeScore(repartition),
+    pays,
+    repartitionPays,
+    trace: simplifyForDisplay(route.geometry.coordinates)
+  };
+}
+
+// What the client sees of a candidate before choosing it
+function alternativeView(candidate, index) {
+  return {
+    index,
+    hash: candidate.hash,
+    distanceKm: Math.round(candidate.route.distance / 1000),
+    dureeMin: Math.round(candidate.route.duration / 60),
+    score: candidate.score,
+    nbRondPoints: candidate.nbRondPoints,
+    repartition: candidate.repartition,
+    repartitionPays: candidate.repartitionPays,
+    complet: candidate.coverage.missing.length === 0,
+    trace: candidate.trace
+  };
+}
+
+async function runChallenge({ pseudo, villeDepart, villeArrivee, etapes, communes = [], mode = 'classic', defi, budgetKm, practice = false }, ctx) {
+  const { id, signal, report } = ctx;
+  // 1. Place cities (departure, via cities, arrival): picked communes directly, the others via Nominatim
+  const villes = [villeDepart, ...etapes, villeArrivee];
+  const places = [];
+  for (const [i, ville] of villes.entries()) {
+    report('geocoding', `Géocodage de ${ville}`, places.length / villes.length);
+    places.push(await locate(ville, communes[i], ctx));
+  }
+  const from = places[0];
+  const to = places[places.length - 1];
+  const via = places.slice(1, -1);
+
+  if (samePlace(from, to) && !via.length) {
+    throw new Error('Les deux villes doivent être différentes !');
+  }
+  for (let i = 1; i < places.length; i++) {
+    if (samePlace(places[i], places[i - 1])) {
+      throw new Error('Deux villes consécutives doivent être différentes !');
+    }
+  }
+
+  // 2. Get the route through every waypoint, and its alternatives
+  report('routing', 'Calcul des itinéraires');
+  let routes = await getRoutes(places, ctx, { alternatives: true });
+  // Over budget: rejected before the (long) Overpass queries
+  if (mode === 'budget') {
+    const shortest = Math.min(...routes.map(route => route.distance));
+    routes = routes.filter(route => route.distance <= budgetKm * 1000);
+    if (!routes.length) {
+      throw new Error(`Trajet trop long : ${Math.round(shortest / 1000)} km pour un budget de ${budgetKm} km !`);
+    }
+  }
+
+  // 3. Count roundabouts on each candidate
+  const candidates = [];
+  for (const [i, route] of routes.entries()) {
+    candidates.push(await analyseRoute(route, { ...ctx, report: alternativeReport(report, i, routes.length) }, places));
+  }
+
+  const game = {
+    pseudo: pseudo.trim().substring(0, 20),
+    villeDepart: from.displayName,
+    villeArrivee: to.displayName,
+    etapes: via.map(p => p.displayName),
+    communes: places.map(p => p.insee ?? null),
+    positions: places.map(p => (p.insee ? null : [roundCoordinate(p.lat), roundCoordinate(p.lon)])),
+    mode,
+    defi,
+    budgetKm,
+    practice
+  };
+
+  // 4. Several candidates: the player picks one (POST /api/challenge/:id/choose)
+  if (candidates.length > 1) {
+    jobs.get(id).choices = { game, candidates, chosen: false };
+    return {
+      aChoisir: true,
+      villeDepart: game.villeDepart,
+      villeArrivee: game.villeArrivee,
+      etapes: game.etapes,
+      mode,
+      budgetKm,
+      alternatives: candidates.map(alternativeView)
+    };
+  }
+
+  signal.throwIfAborted();
+  report('saving', practice ? 'Classement du score' : 'Enregistrement du score');
+  return saveChallenge(game, candidates[0]);
+}
+
+// Leaderboard entry of the chosen candidate
+function buildEntry({ pseudo, villeDepart, villeArrivee, etapes, communes = [], positions = [], mode, defi, budgetKm }, candidate) {
+  const { route, nbRondPoints, repartition, nbProches, coverage, score, pays, repartitionPays } = candidate;
+
+  // Distance in km, and ratio (points per 100km)
+  const distanceKm = Math.round(route.distance / 1000);
+  const ratio = distanceKm > 0 ? Math.round((score / distanceKm) * 100 * 10) / 10 : 0;
+
+  const entry = {
+    id: crypto.randomUUID(),
+    pseudo,
+    villeDepart,
+    villeArrivee,
+    etapes,
+    nbRondPoints,
+    repartition,
+    score,
+    nbProches,
+    distanceKm,
+    ratio,
+    date: new Date().toISOString(),
+    mode
+  };
+  if (mode === 'daily') entry.defi = defi;
+  if (mode === 'budget') entry.budgetKm = budgetKm;
+  if (communes.some(Boolean)) entry.communes = communes; // INSEE codes of the cities, null for geocoded ones
+  if (positions.some(Boolean)) entry.positions = positions; // [lat, lon] of the cities without a code
+  entry.pays = pays;
+  if (repartitionPays) entry.repartitionPays = repartitionPays;
+  entry.idsRondsPoints = candidate.rondsPoints.map(roundaboutKey);
+  // Incomplete counts are kept in the history but stay off the ranking
+  entry.complet = coverage.missing.length === 0;
+  entry.couverture = { segments: coverage.segments, manquants: coverage.missing };
+  entry.cleTrajet = routeKey(entry);
+  return entry;
+}
+
+// Rank, discovery credit and board of a result; a preview is ranked as if it had been saved
+function rankResult(entry, dejaConnu, { preview = false } = {}) {
+  // Only the player's best run on a route (or of the day) is ranked; a lesser replay stays in the history
+  const ranked = boardFor(entry, preview ? [entry] : []);
+  const rank = ranked.indexOf(entry) + 1;
+  const samePlayer = entry.mode === 'daily'
+    ? e => normalizeName(e.pseudo) === normalizeName(entry.pseudo)
+    : e => playerRoute(e) === playerRoute(entry);
+  const best = ranked.find(samePlayer);
+  // undefined while no complete run exists
+  const discoverer = knownRoutes.get(entry.cleTrajet) ?? (preview && entry.complet ? entry : undefined);
+  return {
+    rank: rank || null,
+    trajet: {
+      dejaConnu,
+      decouvertPar: discoverer ? discoverer.pseudo : null,
+      decouvertLe: discoverer ? discoverer.date : null,
+      record: best && best !== entry ? { score: entryScore(best), date: best.date } : null
+    },
+    leaderboard: ranked.slice(0, 20).map((e, i) => boardEntry(e, i + 1))
+  };
+}
+
+// Details of practice results, kept until their token expires in case they get saved
+const practiceDetails = new Map(); // entry id -> { details, expires }
+
+// Save the chosen candidate to the leaderboard and rank it; practice games are only ranked
+async function saveChallenge(game, candidate) {
+  const entry = buildEntry(game, candidate);
+  const dejaConnu = knownRoutes.has(entry.cleTrajet);
+  const details = { rondsPoints: candidate.rondsPoints, rondsPointsProches: candidate.rondsPointsProches, trace: candidate.trace };
+
+  if (game.practice) {
+    const expires = Date.now() + PREVIEW_TTL_MIN * 60 * 1000;
+    for (const [id, pending] of practiceDetails) {
+      if (pending.expires < Date.now()) practiceDetails.delete(id);
+    }
+    practiceDetails.set(entry.id, { details, expires });
+    return {
+      ...entry,
+      ...details,
+      ...rankResult(entry, dejaConnu, { preview: true }),
+      succes: unlockedBy(entry, { preview: true }),
+      entrainement: true,
+      jeton: signResult(entry, expires),
+      jetonExpireLe: new Date(expires).toISOString()
+    };
+  }
+
+  await registerRoundabouts(details.rondsPoints);
+  await addResult(entry);
+  await saveDetails(entry.id, details);
+  return { ...entry, ...details, ...rankResult(entry, dejaConnu), succes: unlockedBy(entry) };
+}
+
+// Re-run the count of a saved result (admin), on the cities it was played with
+async function recountResult(entry, ctx) {
+  const { signal, report } = ctx;
+  const villes = [entry.villeDepart, ...(entry.etapes || []), entry.villeArrivee];
+  const places = [];
+  for (const [i, ville] of villes.entries()) {
+    report('geocoding', `Géocodage de ${ville}`, places.length / villes.length);
+    places.push(await locate(ville, entry.communes?.[i], ctx));
+  }
+
+  // The geometry isn't stored: take the candidate whose distance is closest to the saved one
+  report('routing', 'Calcul des itinéraires');
+  const routes = await getRoutes(places, ctx, { alternatives: true });
+  const gap = route => Math.abs(route.distance / 1000 - entry.distanceKm);
+  const route = routes.reduce((best, candidate) => (gap(candidate) < gap(best) ? candidate : best));
+
+  const candidate = await analyseRoute(route, ctx, places);
+  const fresh = buildEntry(entry, candidate);
+  signal.throwIfAborted();
+  report('saving', 'Mise à jour du résultat');
+  const before = { nbRondPoints: entry.nbRondPoints, score: entryScore(entry), complet: entry.complet !== false };
+  const changes = { recompteLe: new Date().toISOString() };
+  for (const field of ['nbRondPoints', 'repartition', 'score', 'nbProches', 'distanceKm', 'ratio', 'complet', 'couverture', 'pays', 'repartitionPays', 'idsRondsPoints']) {
+    changes[field] = fresh[field];
+  }
+  await registerRoundabouts(candidate.rondsPoints);
+  await updateResult(entry.id, changes);
+  await saveDetails(entry.id, candidate);
+  return { id: entry.id, avant: before, apres: { nbRondPoints: fresh.nbRondPoints, score: fresh.score, complet: fresh.complet } };
+}
+
+// --- Signed result tokens: <payload>.<HMAC-SHA256>, both base64url ---
+function signResult(entry, expires) {
+  const payload = Buffer.from(JSON.stringify({ entry, exp: expires })).toString('base64url');
+  const signature = crypto.createHmac('sha256', RESULT_SECRET).update(payload).digest('base64url');
+  return `${payload}.${signature}`;
+}
+
+// The entry if the token is authentic and not expired, null otherwise
+function verifyResult(token) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) return null;
+  const expected = crypto.createHmac('sha256', RESULT_SECRET).update(payload).digest();
+  const given = Buffer.from(signature, 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  const { entry, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  return Date.now() < exp ? entry : null;
+}
+
+// --- Result preview image: 1200×630 PNG drawn pixel by pixel (no image dependency) ---
+const PREVIEW_WIDTH = 1200;
+const PREVIEW_HEIGHT = 630;
+const PREVIEW_COLORS = {
+  bg: [10, 10, 26],
+  dark: [18, 18, 42],
+  primary: [0, 255, 136],
+  secondary: [255, 107, 53],
+  accent: [255, 221, 0],
+  text: [224, 224, 255],
+  muted: [102, 102, 136]
+};
+
+// 5×7 pixel font: 7 rows of 5 bits per glyph, as hex pairs (uppercase only, accents stripped)
+const PIXEL_FONT = {
+  A: '0e11111f111111', B: '1e11111e11111e', C: '0e11101010110e', D: '1e11111111111e',
+  E: '1f10101e10101f', F: '1f10101e101010', G: '0e11101711110f', H: '1111111f111111',
+  I: '0e04040404040e', J: '0702020202120c', K: '11121418141211', L: '1010101010101f',
+  M: '111b1515111111', N: '11111915131111', O: '0e11111111110e', P: '1e11111e101010',
+  Q: '0e11111115120d', R: '1e11111e141211', S: '0f10100e01011e', T: '1f040404040404',
+  U: '1111111111110e', V: '11111111110a04', W: '1111111515150a', X: '11110a040a1111',
+  Y: '1111110a040404', Z: '1f01020408101f',
+  0: '0e11131519110e', 1: '040c040404040e', 2: '0e11010204081f', 3: '1f02040201110e',
+  4: '02060a121f0202', 5: '1f101e0101110e', 6: '0608101e11110e', 7: '1f010204080808',
+  8: '0e11110e11110e', 9: '0e11110f01020c',
+  ' ': '00000000000000', '#': '0a0a1f0a1f0a0a', '.': '00000000000c0c', ',': '00000000000c0408',
+  ':': '000c0c000c0c00', '-': '0000001f000000', '>': '08040201020408', '/': '00010204081000',
+  "'": '0c040800000000', '!': '04040404040004', '?': '0e110102040004', '(': '02040808080402',
+  ')': '08040202020408', '+': '0004041f040400', '&': '0c12140815120d'
+};
+const GLYPH_ADVANCE = 6; // 5 columns + 1 of spacing
+
+function createCanvas(width, height, [r, g, b]) {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < pixels.length; i += 3) {
+    pixels[i] = r;
+    pixels[i + 1] = g;
+    pixels[i + 2] = b;
+  }
+  return { width, height, pixels };
+}
+
+function fillRect(canvas, x, y, w, h, [r, g, b]) {
+  const x0 = Math.max(0, Math.round(x)), x1 = Math.min(canvas.width, Math.round(x + w));
+  const y0 = Math.max(0, Math.round(y)), y1 = Math.min(canvas.height, Math.round(y + h));
+  for (let py = y0; py < y1; py++) {
+    for (let px = x0; px < x1; px++) {
+      const i = (py * canvas.width + px) * 3;
+      canvas.pixels[i] = r;
+      canvas.pixels[i + 1] = g;
+      canvas.pixels[i + 2] = b;
+    }
+  }
+}
+
+function fillDisc(canvas, cx, cy, radius, color) {
+  for (let dy = -radius; dy <= radius; dy++) {
+    const half = Math.floor(Math.sqrt(radius * radius - dy * dy));
+    fillRect(canvas, cx - half, cy + dy, 2 * half + 1, 1, color);
+  }
+}
+
+// Thick line: a square brush stamped every pixel along the segment
+function drawLine(canvas, x1, y1, x2, y2, thickness, color) {
+  const steps = Math.max(1, Math.ceil(Math.hypot(x2 - x1, y2 - y1)));
+  for (let s = 0; s <= steps; s++) {
+    const x = x1 + ((x2 - x1) * s) / steps;
+    const y = y1 + ((y2 - y1) * s) / steps;
+    fillRect(canvas, x - thickness / 2, y - thickness / 2, thickness, thickness, color);
+  }
+}
+
+// What the pixel font can draw: no accents, uppercase, unknown characters as '?'
+function fontText(str) {
+  return String(str)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/→/g, '>')
+    .replace(/’/g, "'")
+    .replace(/./g, char => (PIXEL_FONT[char] ? char : '?'));
+}
+
+function textWidth(text, scale) {
+  return text.length * GLYPH_ADVANCE * scale - scale;
+}
+
+function drawText(canvas, text, x, y, scale, color) {
+  [...text].forEach((char, index) => {
+    const rows = PIXEL_FONT[char];
+    for (let row = 0; row < 7; row++) {
+      const bits = parseInt(rows.substr(row * 2, 2), 16);
+      for (let col = 0; col < 5; col++) {
+        if (bits & (0x10 >> col)) {
+          fillRect(canvas, x + (index * GLYPH_ADVANCE + col) * scale, y + row * scale, scale, scale, color);
+        }
+      }
+    }
+  });
+}
+
+// Word-wrap into at most maxLines lines of maxChars, the last one cut with '...'
+function wrapText(text, maxChars, maxLines) {
+  const lines = [];
+  let line = '';
+  for (const word of text.split(' ')) {
+    const next = line ? `${line} ${word}` : word;
+    if (next.length <= maxChars) {
+      line = next;
+    } else {
+      if (line) lines.push(line);
+      line = word;
+    }
+  }
+  if (line) lines.push(line);
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    lines[maxLines - 1] += ' ...';
+  }
+  return lines.map(l => (l.length > maxChars ? `${l.slice(0, maxChars - 3)}...` : l));
+}
+
+// Same projection as the result mini-map in public/app.js
+function drawRouteMap(canvas, box, trace, roundabouts) {
+  fillRect(canvas, box.x, box.y, box.w, box.h, PREVIEW_COLORS.dark);
+  if (trace.length < 2) {
+    const text = 'PAS DE CARTE';
+    drawText(canvas, text, box.x + (box.w - textWidth(text, 3)) / 2, box.y + box.h / 2 - 10, 3, PREVIEW_COLORS.muted);
+    return;
+  }
+  const pad = 30;
+  const lats = trace.map(([, lat]) => lat);
+  const lons = trace.map(([lon]) => lon);
+  const minLat = Math.min(...lats), maxLat = Math.max(...lats);
+  const minLon = Math.min(...lons), maxLon = Math.max(...lons);
+  const kx = Math.cos(((minLat + maxLat) / 2) * Math.PI / 180);
+  const spanX = Math.max((maxLon - minLon) * kx, 1e-6);
+  const spanY = Math.max(maxLat - minLat, 1e-6);
+  const scale = Math.min((box.w - 2 * pad) / spanX, (box.h - 2 * pad) / spanY);
+  const offsetX = (box.w - spanX * scale) / 2;
+  const offsetY = (box.h - spanY * scale) / 2;
+  const project = (lon, lat) => [
+    box.x + offsetX + (lon - minLon) * kx * scale,
+    box.y + box.h - offsetY - (lat - minLat) * scale
+  ];
+
+  for (let i = 1; i < trace.length; i++) {
+    drawLine(canvas, ...project(...trace[i - 1]), ...project(...trace[i]), 5, PREVIEW_COLORS.primary);
+  }
+  for (const rp of roundabouts) {
+    const [x, y] = project(rp.lon, rp.lat);
+    fillDisc(canvas, Math.round(x), Math.round(y), 6, PREVIEW_COLORS.accent);
+  }
+  const [startX, startY] = project(...trace[0]);
+  const [endX, endY] = project(...trace[trace.length - 1]);
+  fillRect(canvas, startX - 10, startY - 10, 20, 20, PREVIEW_COLORS.primary);
+  fillRect(canvas, endX - 10, endY - 10, 20, 20, PREVIEW_COLORS.secondary);
+}
+
+function renderPreview(entry, rank, details) {
+  const canvas = createCanvas(PREVIEW_WIDTH, PREVIEW_HEIGHT, PREVIEW_COLORS.bg);
+  const { primary, accent, secondary, text, muted } = PREVIEW_COLORS;
+
+  // Arcade frame and title
+  fillRect(canvas, 0, 0, PREVIEW_WIDTH, 8, primary);
+  fillRect(canvas, 0, PREVIEW_HEIGHT - 8, PREVIEW_WIDTH, 8, primary);
+  fillRect(canvas, 0, 0, 8, PREVIEW_HEIGHT, primary);
+  fillRect(canvas, PREVIEW_WIDTH - 8, 0, 8, PREVIEW_HEIGHT, primary);
+  drawText(canvas, 'GIRATOIRE CHALLENGE', 50, 45, 5, accent);
+
+  drawRouteMap(canvas, { x: 50, y: 120, w: 560, h: 460 }, details?.trace || [], details?.rondsPoints || []);
+
+  // Right column: player, itinerary, score, rank and distance
+  const x = 660;
+  drawText(canvas, fontText(entry.pseudo), x, 130, 4, text);
+  const itinerary = fontText([entry.villeDepart, ...(entry.etapes || []), entry.villeArrivee].join(' > '));
+  wrapText(itinerary, 26, 3).forEach((line, i) => drawText(canvas, line, x, 185 + i * 32, 3, muted));
+
+  const score = String(entryScore(entry));
+  drawText(canvas, score, x, 300, score.length > 4 ? 10 : 14, accent);
+  drawText(canvas, 'POINTS', x, 410, 4, text);
+
+  drawText(canvas, rank ? `#${rank}` : '-', x, 500, 7, secondary);
+  const distance = `${entry.distanceKm} KM`;
+  drawText(canvas, distance, PREVIEW_WIDTH - 50 - textWidth(distance, 4), 514, 4, text);
+
+  // CRT scanlines: every third row slightly darker
+  for (let y = 0; y < PREVIEW_HEIGHT; y += 3) {
+    const start = y * PREVIEW_WIDTH * 3;
+    for (let i = start; i < start + PREVIEW_WIDTH * 3; i++) {
+      canvas.pixels[i] = canvas.pixels[i] * 0.8;
+    }
+  }
+  return encodePng(canvas);
+}
+
+// --- Minimal PNG encoder: 8-bit RGB, no filtering, one IDAT chunk ---
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let crc = 0xffffffff;
+  for (const byte of buf) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const chunk = Buffer.alloc(body.length + 8);
+  chunk.writeUInt32BE(data.length, 0);
+  body.copy(chunk, 4);
+  chunk.writeUInt32BE(crc32(body), body.length + 4);
+  return chunk;
+}
+
+function encodePng({ width, height, pixels }) {
+  const stride = width * 3;
+  const raw = Buffer.alloc((stride + 1) * height); // each row starts with filter type 0
+  for (let y = 0; y < height; y++) {
+    pixels.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // color type: RGB
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+// --- API: Search for roundabouts on route (starts a job) ---
+// Shared by real games and practice previews, which only differ in saving the result
+const startChallenge = ({ practice }) => (req, res) => {
+  let { pseudo, villeDepart, villeArrivee, etapes = [], mode = 'classic', budgetKm, idDepart, idArrivee, idEtapes = [] } = req.body;
+  if (!['classic', 'daily', 'budget'].includes(mode)) {
+    return res.status(400).json({ error: 'Mode de jeu inconnu' });
+  }
+  if (mode === 'budget' && !BUDGETS_KM.includes(budgetKm)) {
+    return res.status(400).json({ error: `Budget invalide (${BUDGETS_KM.join(', ')} km)` });
+  }
+  // Daily challenge: the start city is the day's, whatever the client sent
+  const defi = parisDate();
+  if (mode === 'daily') {
+    villeDepart = dailyCity(defi);
+    idDepart = communeByName(villeDepart)?.code;
+  }
+  if (!pseudo || !villeDepart || !villeArrivee) {
+    return res.status(400).json({ error: 'Pseudo, ville de départ et ville d\'arrivée requis' });
+  }
+  if (!Array.isArray(etapes) || !Array.isArray(idEtapes)) {
+    return res.status(400).json({ error: 'Étapes invalides' });
+  }
+  // Communes picked in the autocomplete (INSEE codes), aligned with the cities; null for free text
+  const ids = [idDepart, ...etapes.map((_, i) => idEtapes[i]), idArrivee].map(id => id || null);
+  if (ids.some(id => id !== null && !communesByCode.has(id))) {
+    return res.status(400).json({ error: 'Commune inconnue, choisis-la dans la liste' });
+  }
+  if (etapes.length > MAX_ETAPES) {
+    return res.status(400).json({ error: `Trop d'étapes (max ${MAX_ETAPES})` });
+  }
+
+  // Sanitize inputs
+  pseudo = sanitize(String(pseudo)).substring(0, 20);
+  villeDepart = sanitize(String(villeDepart)).substring(0, 100);
+  villeArrivee = sanitize(String(villeArrivee)).substring(0, 100);
+  const etapeIds = ids.slice(1, -1).filter((_, i) => sanitize(String(etapes[i])));
+  etapes = etapes.map(v => sanitize(String(v)).substring(0, 100)).filter(Boolean);
+  const communes = [ids[0], ...etapeIds, ids[ids.length - 1]];
+
+  if (!pseudo || !villeDepart || !villeArrivee) {
+    return res.status(400).json({ error: 'Entrées invalides' });
+  }
+
+  if (pseudo.length > 20) {
+    return res.status(400).json({ error: 'Pseudo trop long (max 20 caractères)' });
+  }
+
+  const refusal = pseudoRefusal(pseudo);
+  if (refusal) {
+    return res.status(403).json({ error: refusal });
+  }
+
+  if (!ownsPseudo(pseudo, req.get('X-Pseudo-Token'))) {
+    return res.status(403).json({ error: 'Ce pseudo est réservé ! Récupère-le avec ton code secret ou choisis-en un autre.' });
+  }
+
+  const job = createJob(ctx => runChallenge({ pseudo, villeDepart, villeArrivee, etapes, communes, mode, defi, budgetKm, practice }, ctx), { client: req.ip });
+  res.status(202).json(jobSnapshot(job));
+};
+
+app.post('/api/challenge', challengeLimiter, startChallenge({ practice: false }));
+
+// --- API: Practice game: same pipeline, result and would-be rank, nothing saved ---
+app.post('/api/preview', challengeLimiter, startChallenge({ practice: true }));
+
+// --- API: Save a practice result later, from its signed token (no recount) ---
+const committing = new Set(); // ids of practice results being saved (a token is saved once)
+
+app.post('/api/preview/commit', commitLimiter, async (req, res) => {
+  const entry = verifyResult(req.body.jeton);
+  if (!entry) {
+    return res.status(400).json({ error: 'Résultat invalide ou expiré, rejoue la partie' });
+  }
+  if (committing.has(entry.id) || results.some(e => e.id === entry.id)) {
+    return res.status(409).json({ error: 'Ce résultat est déjà enregistré' });
+  }
+  if (deletedIds.has(entry.id)) {
+    return res.status(409).json({ error: 'Ce résultat a été supprimé par la modération' });
+  }
+  if (entry.mode === 'daily' && entry.defi !== parisDate()) {
+    return res.status(409).json({ error: 'Ce défi du jour est terminé' });
+  }
+  const refusal = pseudoRefusal(entry.pseudo);
+  if (refusal) {
+    return res.status(403).json({ error: refusal });
+  }
+  if (!ownsPseudo(entry.pseudo, req.get('X-Pseudo-Token'))) {
+    return res.status(403).json({ error: 'Ce pseudo est réservé ! Récupère-le avec ton code secret ou choisis-en un autre.' });
+  }
+
+  committing.add(entry.id);
+  try {
+    const dejaConnu = knownRoutes.has(entry.cleTrajet);
+    // Without its details (server restarted), the result still lists its roundabouts' keys
+    const pending = practiceDetails.get(entry.id);
+    if (pending) await registerRoundabouts(pending.details.rondsPoints);
+    await addResult(entry);
+    if (pending) {
+      practiceDetails.delete(entry.id);
+      await saveDetails(entry.id, pending.details);
+    }
+    res.json({ ...entry, ...rankResult(entry, dejaConnu), succes: unlockedBy(entry) });
+  } catch (err) {
+    console.error('Commit error:', err);
+    res.status(500).json({ error: 'Enregistrement impossible, réessaie' });
+  } finally {
+    committing.delete(entry.id);
+  }
+});
+
+// --- API: Submit the chosen alternative route of a finished job ---
+// Only a route the server computed for this job can be chosen: index and fingerprint must match
+app.post('/api/challenge/:id/choose', async (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Partie introuvable' });
+  if (!job.choices) return res.status(409).json({ error: 'Aucun itinéraire à choisir' });
+  if (job.choices.chosen) return res.status(409).json({ error: 'Itinéraire déjà choisi' });
+
+  const { index, hash } = req.body;
+  if (!Number.isInteger(index) || typeof hash !== 'string') {
+    return res.status(400).json({ error: 'Itinéraire inconnu' });
+  }
+  const candidate = job.choices.candidates[index];
+  if (!candidate || candidate.hash !== hash) {
+    return res.status(400).json({ error: 'Itinéraire inconnu' });
+  }
+
+  job.choices.chosen = true;
+  try {
+    job.result = await saveChallenge(job.choices.game, candidate);
+    res.json(job.result);
+  } catch (err) {
+    job.choices.chosen = false;
+    console.error('Choose error:', err);
+    res.status(500).json({ error: 'Enregistrement impossible, réessaie' });
+  }
+});
+
+// --- API: Poll a challenge job ---
+app.get('/api/challenge/:id', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Partie introuvable' });
+  res.json(jobSnapshot(job));
+});
+
+// --- API: Stream a challenge job's progress (Server-Sent Events) ---
+app.get('/api/challenge/:id/events', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Partie introuvable' });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // disable proxy buffering (nginx)
+  });
+
+  const event = job.status === 'running' ? 'progress' : 'end';
+  res.write(`event: ${event}\ndata: ${JSON.stringify(jobSnapshot(job))}\n\n`);
+  if (job.status !== 'running') return res.end();
+
+  job.clients.add(res);
+  // Keep the connection alive through proxies while Overpass is slow
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    job.clients.delete(res);
+  });
+});
+
+// --- API: Cancel a challenge job ---
+app.delete('/api/challenge/:id', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Partie introuvable' });
+  if (job.status === 'running') job.controller.abort();
+  res.json(jobSnapshot(job));
+});
+
+// --- API (admin): Inspect and purge the upstream cache ---
+app.get('/api/admin/cache', requireAdmin, (req, res) => {
+  res.json(cacheSummary());
+});
+
+app.delete('/api/admin/cache', requireAdmin, (req, res) => {
+  const ns = req.query.ns;
+  if (ns && !CACHE_NAMESPACES.includes(ns)) {
+    return res.status(400).json({ error: `Cache inconnu (${CACHE_NAMESPACES.join(', ')})` });
+  }
+  const removed = purgeCache({ ns, expiredOnly: req.query.expired === '1' });
+  res.json({ removed, ...cacheSummary() });
+});
+
+// --- API (admin): Upstream queues (calls in flight, waiting, Retry-After pause) ---
+app.get('/api/admin/upstreams', requireAdmin, (req, res) => {
+  res.json([...schedulers.values()].map(scheduler => scheduler.stats()));
+});
+
+// --- API: Pseudo ownership (X-Pseudo-Token header carries the claim token) ---
+function cleanPseudo(value) {
+  return sanitize(String(value ?? '')).substring(0, 20);
+}
+
+app.get('/api/pseudo/:pseudo', (req, res) => {
+  const pseudo = cleanPseudo(req.params.pseudo);
+  const claim = claims.get(normalizeName(pseudo));
+  res.json({
+    pseudo,
+    reserve: Boolean(claim),
+    aToi: Boolean(claim) && ownsPseudo(pseudo, req.get('X-Pseudo-Token')),
+    codeSecret: Boolean(claim?.pin)
+  });
+});
+
+app.post('/api/pseudo/claim', pseudoLimiter, async (req, res) => {
+  const pseudo = cleanPseudo(req.body.pseudo);
+  const pin = req.body.pin ? String(req.body.pin) : '';
+  if (!pseudo) {
+    return res.status(400).json({ error: 'Pseudo requis' });
+  }
+  if (pin && (pin.length < PIN_MIN_LENGTH || pin.length > 64)) {
+    return res.status(400).json({ error: `Code secret : ${PIN_MIN_LENGTH} à 64 caractères` });
+  }
+  const refusal = pseudoRefusal(pseudo);
+  if (refusal) {
+    return res.status(403).json({ error: refusal });
+  }
+  if (claims.has(normalizeName(pseudo))) {
+    return res.status(409).json({ error: 'Ce pseudo est déjà réservé' });
+  }
+  try {
+    const token = await claimPseudo(pseudo, pin);
+    res.status(201).json({ pseudo, token });
+  } catch (err) {
+    console.error('[Pseudo] Claim failed:', err.message);
+    res.status(500).json({ error: 'Réservation impossible, réessaie plus tard' });
+  }
+});
+
+// Moves a claimed pseudo to this browser, with its code secret or a copied token
+app.post('/api/pseudo/recover', pseudoLimiter, async (req, res) => {
+  const pseudo = cleanPseudo(req.body.pseudo);
+  try {
+    const token = await recoverPseudo(pseudo, req.body.secret);
+    if (!token) return res.status(403).json({ error: 'Code secret ou jeton invalide' });
+    res.json({ pseudo: claims.get(normalizeName(pseudo)).pseudo, token });
+  } catch (err) {
+    console.error('[Pseudo] Recovery failed:', err.message);
+    res.status(500).json({ error: 'Récupération impossible, réessaie plus tard' });
+  }
+});
+
+// --- API: Daily challenge of the day, and past days' boards ---
+app.get('/api/daily', (req, res) => {
+  res.json(dailySummary(parisDate()));
+});
+
+app.get('/api/daily/:date', (req, res) => {
+  const { date } = req.params;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date))) {
+    return res.status(400).json({ error: 'Date invalide (AAAA-MM-JJ)' });
+  }
+  if (date > parisDate()) {
+    return res.status(404).json({ error: 'Ce défi n\'a pas encore commencé' });
+  }
+  res.json(dailySummary(date));
+});
+
+// --- API (admin): Moderate results and pseudos ---
+// Every result, newest first, including incomplete ones and banned pseudos (?q= searches pseudo and route)
+app.get('/api/admin/entries', requireAdmin, (req, res) => {
+  const q = normalizeName(String(req.query.q || ''));
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.pageSize, 10) || 50));
+  const matching = results
+    .filter(entry => !q || [entry.pseudo, entry.villeDepart, ...(entry.etapes || []), entry.villeArrivee]
+      .some(name => normalizeName(name).includes(q)))
+    .reverse();
+  res.json({
+    page,
+    pageSize,
+    pages: Math.max(1, Math.ceil(matching.length / pageSize)),
+    total: matching.length,
+    entries: matching.slice((page - 1) * pageSize, page * pageSize).map(entry => ({ ...entry, banni: isBanned(entry.pseudo) }))
+  });
+});
+
+app.delete('/api/admin/entries/:id', requireAdmin, async (req, res) => {
+  const entry = await deleteResult(req.params.id);
+  if (!entry) return res.status(404).json({ error: 'Résultat introuvable' });
+  res.json(entry);
+});
+
+// Only the pseudo can be edited; counts change through a recount
+app.patch('/api/admin/entries/:id', requireAdmin, async (req, res) => {
+  const pseudo = cleanPseudo(req.body.pseudo);
+  if (!pseudo) return res.status(400).json({ error: 'Pseudo requis' });
+  const entry = await updateResult(req.params.id, { pseudo });
+  if (!entry) return res.status(404).json({ error: 'Résultat introuvable' });
+  res.json(entry);
+});
+
+// Runs as a challenge job: follow it with GET /api/challenge/:id
+app.post('/api/admin/entries/:id/recount', requireAdmin, (req, res) => {
+  const entry = results.find(e => e.id === req.params.id);
+  if (!entry) return res.status(404).json({ error: 'Résultat introuvable' });
+  const job = createJob(ctx => recountResult(entry, ctx), { client: req.ip });
+  res.status(202).json(jobSnapshot(job));
+});
+
+app.get('/api/admin/bans', requireAdmin, (req, res) => {
+  res.json({ bans: [...bans.values()], blocklist: PSEUDO_BLOCKLIST.length });
+});
+
+app.post('/api/admin/bans', requireAdmin, async (req, res) => {
+  const pseudo = cleanPseudo(req.body.pseudo);
+  if (!pseudo) return res.status(400).json({ error: 'Pseudo requis' });
+  if (!isBanned(pseudo)) await setBan(pseudo, true);
+  res.status(201).json(bans.get(normalizeName(pseudo)));
+});
+
+app.delete('/api/admin/bans/:pseudo', requireAdmin, async (req, res) => {
+  const pseudo = cleanPseudo(req.params.pseudo);
+  if (!isBanned(pseudo)) return res.status(404).json({ error: 'Pseudo non banni' });
+  await setBan(pseudo, false);
+  res.json({ pseudo });
+});
+
+// --- Permalinks: /r/:id serves the game with social meta tags, and a preview image ---
+const INDEX_HTML = fs.readFileSync(path.join(__dirname, 'public', 'index.html'), 'utf8');
+const previewImages = new Map(); // "id|rank|score|pseudo" -> PNG, most recent last
+const PREVIEW_IMAGES_MAX = 100;
+
+// A saved result that can be shared (hidden with its banned player)
+function sharedResult(id) {
+  const entry = results.find(e => e.id === id);
+  return entry && !isBanned(entry.pseudo) ? entry : null;
+}
+
+function resultRank(entry) {
+  return boardFor(entry).indexOf(entry) + 1 || null;
+}
+
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+function shareMeta(entry, rank, baseUrl) {
+  const itinerary = [entry.villeDepart, ...(entry.etapes || []), entry.villeArrivee].join(' → ');
+  const title = `${entry.pseudo} : ${entryScore(entry)} points sur ${itinerary}`;
+  const description = `${entry.nbRondPoints} ronds-points en ${entry.distanceKm} km` +
+    `${rank ? `, #${rank} au classement` : ''}. Et toi, combien de giratoires sur ta route ?`;
+  const image = `${baseUrl}/r/${entry.id}/image.png`;
+  const tags = [
+    ['property', 'og:type', 'website'],
+    ['property', 'og:site_name', 'Giratoire Challenge'],
+    ['property', 'og:title', title],
+    ['property', 'og:description', description],
+    ['property', 'og:url', `${baseUrl}/r/${entry.id}`],
+    ['property', 'og:image', image],
+    ['property', 'og:image:width', PREVIEW_WIDTH],
+    ['property', 'og:image:height', PREVIEW_HEIGHT],
+    ['name', 'twitter:card', 'summary_large_image'],
+    ['name', 'twitter:title', title],
+    ['name', 'twitter:description', description],
+    ['name', 'twitter:image', image],
+    ['name', 'description', description]
+  ];
+  return `<title>🔄 ${escapeHtml(title)}</title>\n` +
+    tags.map(([attr, key, value]) => `  <meta ${attr}="${key}" content="${escapeHtml(value)}">`).join('\n');
+}
+
+// Unknown ids still get the game (404): the client then says the result is gone
+app.get('/r/:id', (req, res) => {
+  const entry = sharedResult(req.params.id);
+  if (!entry) return res.status(404).type('html').send(INDEX_HTML);
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  res.type('html').send(INDEX_HTML.replace(/<title>.*<\/title>/, shareMeta(entry, resultRank(entry), baseUrl)));
+});
+
+app.get('/r/:id/image.png', (req, res) => {
+  const entry = sharedResult(req.params.id);
+  if (!entry) return res.status(404).json({ error: 'Résultat introuvable' });
+  const rank = resultRank(entry);
+  const key = `${entry.id}|${rank}|${entryScore(entry)}|${entry.pseudo}`;
+  let png = previewImages.get(key);
+  if (!png) {
+    png = renderPreview(entry, rank, loadDetails(entry.id));
+    previewImages.set(key, png);
+    if (previewImages.size > PREVIEW_IMAGES_MAX) previewImages.delete(previewImages.keys().next().value);
+  }
+  res.set('Cache-Control', 'public, max-age=600').type('png').send(png);
+});
+
+// --- API: A saved result, as the result screen shows it ---
+app.get('/api/result/:id', (req, res) => {
+  const entry = sharedResult(req.params.id);
+  if (!entry) return res.status(404).json({ error: 'Résultat introuvable' });
+  const { trace = [], rondsPoints = [], rondsPointsProches = [] } = loadDetails(entry.id) || {};
+  // "Already known" from the result's point of view: it was not the route's discovery
+  res.json({
+    ...entry,
+    score: entryScore(entry), // results saved before weighted scores have none
+    repartition: entry.repartition ?? { roundabout: entry.nbRondPoints }, // nor a per-type split
+    trace,
+    rondsPoints,
+    rondsPointsProches,
+    ...rankResult(entry, knownRoutes.get(entry.cleTrajet) !== entry),
+    partage: true
+  });
+});
+
+// --- API: Player profile (?page=1 of the history, newest first) ---
+app.get('/api/profile/:pseudo', (req, res) => {
+  const pseudo = cleanPseudo(req.params.pseudo);
+  if (!pseudo || isBanned(pseudo)) {
+    return res.status(404).json({ error: 'Joueur introuvable' });
+  }
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.pageSize, 10) || 20));
+  const profile = playerProfile(pseudo, { page, pageSize });
+  if (!profile) {
+    return res.status(404).json({ error: 'Aucune partie pour ce pseudo' });
+  }
+  res.json(profile);
+});
+
+// --- API: Stats over every saved game (totals, and /api/stats/:view?limit=20) ---
+app.get('/api/stats', (req, res) => {
+  res.json({ ...statsTotals(statsResults()), vues: Object.keys(STATS_VIEWS) });
+});
+
+app.get('/api/stats/:view', (req, res) => {
+  const { view } = req.params;
+  if (!Object.hasOwn(STATS_VIEWS, view)) {
+    return res.status(404).json({ error: 'Statistique inconnue' });
+  }
+  const limit = Math.min(STATS_MAX_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || STATS_LIMIT));
+  res.json({ view, limit, entries: STATS_VIEWS[view](statsResults(), limit) });
+});
+
+// --- API: Client configuration ---
+app.get('/api/config', (req, res) => {
+  res.json({ maxEtapes: MAX_ETAPES, scoreWeights: SCORE_WEIGHTS, budgetsKm: BUDGETS_KM, pays: PLAYABLE_COUNTRIES });
+});
+
+// --- API: Get leaderboard (?sort=count|ratio&distance=all|short|medium|long&period=all|today|week&scope=all|domestic|international&budget=km&page=1) ---
+app.get('/api/leaderboard', (req, res) => {
+  const { sort = 'count', distance = 'all', period = 'all', scope = 'all' } = req.query;
+  const budget = req.query.budget ? parseInt(req.query.budget, 10) : null;
+  if (!SORT_KEYS[sort] || !DISTANCE_CLASSES[distance] || !PERIODS.includes(period) || !SCOPES[scope] ||
+      (budget !== null && !BUDGETS_KM.includes(budget))) {
+    return res.status(400).json({ error: 'Vue du classement invalide' });
+  }
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.pageSize, 10) || 20));
+  res.json(queryLeaderboard({ sort, distance, period, scope, budget, page, pageSize }));
+});
+
+// --- Unhandled API errors: JSON like every other API answer ---
+app.use('/api', (err, req, res, next) => { // four arguments: Express error handler
+  console.error('API error:', err);
+  const status = err.status || 500;
+  res.status(status).json({ error: status < 500 ? 'Requête invalide' : 'Erreur serveur' });
+});
+
+// --- Start ---
+if (require.main === module) {
+  loadResults();
+  loadClaims();
+  loadBans();
+  loadCommunes();
+  loadRoundabouts();
+  if (CACHE_ENABLED) loadCacheIndex();
+
+  app.listen(PORT, () => {
+    console.log(`🏁 Giratoire Challenge lancé sur http://localhost:${PORT}`);
+    if (UPSTREAM_MODE !== 'live') {
+      console.log(`📼 Mode ${UPSTREAM_MODE} des APIs externes (fixtures : ${FIXTURES_DIR})`);
+    }
+  });
+}
+
+// Used by the benchmarks in bench/
+module.exports = {
+  getRoute,
+  computeCorridorTiles,
+  batchTiles,
+  buildOverpassQuery,
+  fetchUpstream,
+  haversineMeters,
+  RING_TYPES,
+  POINT_TYPES
+};